@@ -0,0 +1,169 @@
+/////////////////////////////////////////////////////////
+// benchmark.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+// Compares the upstream request path with one connection per request (the
+// old behavior) against pooled keep-alive connections and HTTP/2.
+//
+//   node bench/benchmark.js [--requests 2000] [--concurrency 20] [--delay 0]
+//   node bench/benchmark.js --key server.key --cert server.cert
+//
+// With --key/--cert the local upstream speaks HTTPS and h2 (the certificate
+// must be issued for "localhost"), which is where pooling matters most.
+
+
+const http = require('http');
+const http2 = require('http2');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { createProxy } = require('../lib/proxy');
+
+function parseArgs(argv) {
+  const args = { requests: 2000, concurrency: 20, delay: 0, key: null, cert: null };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in args)) {
+      console.error(`Unknown option ${argv[i]}`);
+      process.exit(1);
+    }
+    args[name] = typeof args[name] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+  }
+  return args;
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+// Local upstream answering a small JSON body after `delay` ms
+function startUpstream(args) {
+  const body = JSON.stringify({ ok: true, padding: 'x'.repeat(512) });
+  const handler = (req, res) => {
+    setTimeout(() => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(body);
+    }, args.delay);
+  };
+  const server = args.key
+    ? http2.createSecureServer({ key: fs.readFileSync(args.key), cert: fs.readFileSync(args.cert), allowHTTP1: true }, handler)
+    : http.createServer(handler);
+  return listen(server).then(port => ({ server, url: `${args.key ? 'https' : 'http'}://localhost:${port}/data` }));
+}
+
+// Fire `total` requests through the proxy, `concurrency` at a time
+function load(proxyPort, targetUrl, total, concurrency) {
+  const agent = new http.Agent({ keepAlive: true, maxSockets: concurrency });
+  const latencies = [];
+  let started = 0;
+  let failed = 0;
+
+  const one = () => new Promise(resolve => {
+    const begin = process.hrtime.bigint();
+    http.get({ host: '127.0.0.1', port: proxyPort, path: '/' + targetUrl, agent }, res => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode !== 200) failed++;
+        latencies.push(Number(process.hrtime.bigint() - begin) / 1e6);
+        resolve();
+      });
+    }).on('error', () => {
+      failed++;
+      resolve();
+    });
+  });
+  const worker = async () => {
+    while (started < total) {
+      started++;
+      await one();
+    }
+  };
+
+  const begin = Date.now();
+  return Promise.all(Array.from({ length: concurrency }, worker)).then(() => {
+    agent.destroy();
+    return { latencies, failed, seconds: (Date.now() - begin) / 1000 };
+  });
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] || 0;
+}
+
+async function runScenario(name, upstreamSettings, targetUrl, args) {
+  const proxy = createProxy({
+    upstream: upstreamSettings,
+    security: { blockPrivateAddresses: false },
+    cache: { enabled: false },
+    rateLimit: { enabled: false },
+    accessLog: { enabled: false },
+    metrics: { enabled: false }
+  });
+  const server = http.createServer(proxy);
+  const port = await listen(server);
+
+  // Warm up: connections, ALPN negotiation, JIT
+  await load(port, targetUrl, Math.min(100, args.requests), args.concurrency);
+  const before = proxy.poolStats().requests;
+  const result = await load(port, targetUrl, args.requests, args.concurrency);
+  const after = proxy.poolStats().requests;
+
+  server.close();
+  proxy.close();
+
+  const sorted = result.latencies.sort((a, b) => a - b);
+  const opened = (after.http1.new - before.http1.new) + (after.http2.new - before.http2.new);
+  return {
+    scenario: name,
+    'req/s': Math.round(args.requests / result.seconds),
+    'p50 ms': percentile(sorted, 0.5).toFixed(2),
+    'p95 ms': percentile(sorted, 0.95).toFixed(2),
+    'p99 ms': percentile(sorted, 0.99).toFixed(2),
+    'new upstream connections': opened,
+    failed: result.failed
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // Trust the self-signed certificate: Node reads extra CAs only at startup
+  if (args.cert && process.env.NODE_EXTRA_CA_CERTS !== args.cert) {
+    const child = spawn(process.execPath, process.argv.slice(1), {
+      env: { ...process.env, NODE_EXTRA_CA_CERTS: args.cert },
+      stdio: 'inherit'
+    });
+    child.on('exit', code => process.exit(code));
+    return;
+  }
+
+  const upstream = await startUpstream(args);
+  console.log(`${args.requests} requests, concurrency ${args.concurrency}, upstream ${upstream.url}\n`);
+
+  const scenarios = [
+    ['connection per request', { keepAlive: false, http2: false }],
+    ['keep-alive pool', { keepAlive: true, http2: false }]
+  ];
+  if (args.key) {
+    scenarios.push(['keep-alive pool + HTTP/2', { keepAlive: true, http2: true }]);
+  }
+
+  const results = [];
+  for (const [name, settings] of scenarios) {
+    results.push(await runScenario(name, settings, upstream.url, args));
+  }
+  console.table(results);
+
+  upstream.server.close();
+  // h2 test clients may hold the upstream open
+  setTimeout(() => process.exit(0), 100).unref();
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,223 @@
+/////////////////////////////////////////////////////////
+// access-log.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { clientAddress } = require('./rate-limit');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Incoming request IDs are only reused if they look harmless
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Append-only log file that rotates by size: file -> file.1 -> file.2 ...
+class RotatingFile {
+  constructor(file, maxBytes, maxFiles) {
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.open();
+  }
+
+  open() {
+    this.bytes = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    this.stream.on('error', err => console.error('Access log error:', err.message));
+  }
+
+  write(line) {
+    const size = Buffer.byteLength(line);
+    if (this.bytes > 0 && this.bytes + size > this.maxBytes) {
+      this.rotate();
+    }
+    this.stream.write(line);
+    this.bytes += size;
+  }
+
+  rotate() {
+    this.stream.end();
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = i === 1 ? this.file : `${this.file}.${i - 1}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${this.file}.${i}`);
+    }
+    if (this.maxFiles <= 1) fs.unlinkSync(this.file);
+    this.open();
+  }
+
+  close() {
+    this.stream.end();
+  }
+}
+
+// Combined Log Format timestamp: 10/Oct/2025:13:55:36 +0000
+function clfDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+// Build the access logger from the `accessLog` section of config.js
+function createAccessLog(options) {
+  const records = new WeakMap();
+  const redactParams = new Set((options.redactQueryParams || []).map(name => name.toLowerCase()));
+  const redactHeaders = new Set((options.redactHeaders || []).map(name => name.toLowerCase()));
+  const output = options.file ? new RotatingFile(options.file, options.maxBytes, options.maxFiles) : process.stdout;
+
+  // Replace sensitive query values, including inside a nested ?url= target
+  function redactUrl(value) {
+    if (!value) return value;
+    let parsed;
+    try {
+      parsed = new URL(value, 'http://proxy.local');
+    } catch (err) {
+      return value;
+    }
+
+    const params = [];
+    parsed.searchParams.forEach((paramValue, name) => {
+      if (redactParams.has(name.toLowerCase())) {
+        params.push([name, 'REDACTED']);
+      } else if (name === 'url') {
+        params.push([name, redactUrl(paramValue)]);
+      } else {
+        params.push([name, paramValue]);
+      }
+    });
+    parsed.search = new URLSearchParams(params).toString();
+
+    const isRelative = value.startsWith('/') && !value.startsWith('//');
+    return isRelative ? parsed.pathname + parsed.search : parsed.href;
+  }
+
+  function loggedHeaders(req) {
+    const headers = {};
+    (options.logHeaders || []).forEach(name => {
+      const value = req.headers[name.toLowerCase()];
+      if (value !== undefined) {
+        headers[name.toLowerCase()] = redactHeaders.has(name.toLowerCase()) ? 'REDACTED' : value;
+      }
+    });
+    return headers;
+  }
+
+  function format(record, req, res) {
+    const entry = {
+      time: new Date(record.startedAt).toISOString(),
+      requestId: record.id,
+      clientIp: record.clientIp,
+      origin: req.headers.origin || null,
+      method: req.method,
+      url: redactUrl(req.url),
+      target: record.target ? redactUrl(record.target) : null,
+      status: res.statusCode,
+      upstreamStatus: record.upstreamStatus,
+      retries: record.retries,
+      bytesIn: record.bytesIn,
+      bytesOut: record.bytesOut,
+      ttfbMs: record.ttfbMs,
+      totalMs: record.totalMs,
+      cache: res.getHeader('X-Cache') || null,
+      headers: loggedHeaders(req)
+    };
+
+    if (options.format === 'combined') {
+      const quote = value => `"${String(value || '-').replace(/"/g, '\\"')}"`;
+      return `${entry.clientIp} - - [${clfDate(new Date(record.startedAt))}] ` +
+        `${quote(`${req.method} ${entry.url} HTTP/${req.httpVersion}`)} ${entry.status} ${entry.bytesOut || '-'} ` +
+        `${quote(redactHeaders.has('referer') ? null : req.headers.referer)} ${quote(req.headers['user-agent'])} ` +
+        `rid=${entry.requestId} origin=${quote(entry.origin)} target=${quote(entry.target)} ` +
+        `upstream=${entry.upstreamStatus || '-'} retries=${entry.retries} in=${entry.bytesIn} ttfb=${entry.ttfbMs}ms ` +
+        `total=${entry.totalMs}ms cache=${entry.cache || '-'}\n`;
+    }
+    return JSON.stringify(entry) + '\n';
+  }
+
+  // Start tracking a request: assign its ID, count bytes and time to first byte,
+  // and write one line when the response is done
+  function begin(req, res) {
+    const incoming = req.headers['x-request-id'];
+    const record = {
+      id: options.trustRequestId && REQUEST_ID_PATTERN.test(incoming || '') ? incoming : crypto.randomUUID(),
+      clientIp: clientAddress(req, options.trustProxy),
+      startedAt: Date.now(),
+      target: null,
+      upstreamStatus: null,
+      retries: 0,
+      bytesIn: 0,
+      bytesOut: 0,
+      ttfbMs: null,
+      totalMs: null
+    };
+    records.set(req, record);
+    res.setHeader('X-Request-Id', record.id);
+
+    const write = res.write;
+    const end = res.end;
+    const count = (chunk, encoding) => {
+      if (record.ttfbMs === null) record.ttfbMs = Date.now() - record.startedAt;
+      if (chunk && typeof chunk !== 'function') {
+        record.bytesOut += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+      }
+    };
+    res.write = function (chunk, encoding, callback) {
+      count(chunk, encoding);
+      return write.call(this, chunk, encoding, callback);
+    };
+    res.end = function (chunk, encoding, callback) {
+      count(chunk, encoding);
+      return end.call(this, chunk, encoding, callback);
+    };
+
+    let logged = false;
+    const finish = () => {
+      if (logged) return;
+      logged = true;
+      record.totalMs = Date.now() - record.startedAt;
+      if (options.enabled) output.write(format(record, req, res));
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+
+    return record;
+  }
+
+  // The record of a request begun earlier (null if not tracked)
+  function get(req) {
+    return records.get(req) || null;
+  }
+
+  // Count request body bytes as they are forwarded upstream
+  function countRequestBody(req) {
+    const record = records.get(req);
+    if (record) {
+      req.on('data', chunk => {
+        record.bytesIn += chunk.length;
+      });
+    }
+  }
+
+  // Flush and close the log file (stdout is left open)
+  function close() {
+    if (output !== process.stdout) output.close();
+  }
+
+  return {
+    begin,
+    get,
+    countRequestBody,
+    redactUrl,
+    close
+  };
+}
+
+module.exports = {
+  createAccessLog,
+  RotatingFile
+};
@@ -0,0 +1,120 @@
+/////////////////////////////////////////////////////////
+// api-keys.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const fs = require('fs');
+const { createMatcher } = require('./patterns');
+
+// Read and validate a keys file:
+// { "keys": [{ "key", "name", "allowedHosts", "rateLimit", "expires" }] }
+function loadKeys(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!data || !Array.isArray(data.keys)) {
+    throw new Error(`${file}: expected an object with a "keys" array`);
+  }
+
+  const keys = new Map();
+  data.keys.forEach((entry, index) => {
+    if (!entry || typeof entry.key !== 'string' || entry.key.length < 16) {
+      throw new Error(`${file}: keys[${index}].key must be a string of at least 16 characters`);
+    }
+    if (entry.expires !== undefined && isNaN(Date.parse(entry.expires))) {
+      throw new Error(`${file}: keys[${index}].expires is not a valid date`);
+    }
+    if (entry.rateLimit && !(entry.rateLimit.capacity > 0 && entry.rateLimit.refillPerSecond > 0)) {
+      throw new Error(`${file}: keys[${index}].rateLimit needs a positive capacity and refillPerSecond`);
+    }
+    if (keys.has(entry.key)) {
+      throw new Error(`${file}: keys[${index}] duplicates an earlier key`);
+    }
+
+    const allowedHosts = entry.allowedHosts || [];
+    keys.set(entry.key, {
+      name: entry.name || `key-${index + 1}`,
+      allowedHosts,
+      isAllowedHost: allowedHosts.length ? createMatcher(allowedHosts) : () => true,
+      rateLimit: entry.rateLimit || null,
+      expiresAt: entry.expires !== undefined ? Date.parse(entry.expires) : null
+    });
+  });
+
+  return keys;
+}
+
+// Build the API key check from the `auth` section of config.js.
+// The keys file is watched and reloaded on change; a broken file keeps the previous keys.
+function createKeyStore(options) {
+  let keys = loadKeys(options.keysFile);
+
+  const reload = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+    try {
+      keys = loadKeys(options.keysFile);
+      console.log(`API keys reloaded (${keys.size} keys)`);
+    } catch (err) {
+      console.error('API keys not reloaded:', err.message);
+    }
+  };
+  const watcher = fs.watchFile(options.keysFile, { interval: options.reloadInterval }, reload);
+  if (watcher && watcher.unref) watcher.unref();
+
+  // Key sent as header, or as query parameter on /raw
+  function extractKey(req) {
+    if (req.headers[options.header]) {
+      return req.headers[options.header];
+    }
+    const parsed = new URL(req.url, 'http://proxy.local');
+    if (parsed.pathname === '/raw' && options.queryParam) {
+      return parsed.searchParams.get(options.queryParam);
+    }
+    return null;
+  }
+
+  // Check the request's key against the target host.
+  // Returns { key } on success or { statusCode, message } to reject with.
+  function authenticate(req, targetHost) {
+    const presented = extractKey(req);
+    if (!presented) {
+      return { statusCode: 401, message: 'API key required' };
+    }
+
+    const key = keys.get(presented);
+    if (!key) {
+      return { statusCode: 401, message: 'Invalid API key' };
+    }
+    if (key.expiresAt !== null && Date.now() >= key.expiresAt) {
+      return { statusCode: 401, message: `API key ${key.name} has expired` };
+    }
+    if (!key.isAllowedHost(targetHost)) {
+      return { statusCode: 403, message: `API key ${key.name} may not access ${targetHost}` };
+    }
+
+    return { key };
+  }
+
+  // Whether the request presents any key at all
+  function hasKey(req) {
+    return Boolean(extractKey(req));
+  }
+
+  function close() {
+    fs.unwatchFile(options.keysFile, reload);
+  }
+
+  return {
+    authenticate,
+    hasKey,
+    close
+  };
+}
+
+module.exports = {
+  createKeyStore,
+  loadKeys
+};
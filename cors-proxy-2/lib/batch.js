@@ -0,0 +1,281 @@
+/////////////////////////////////////////////////////////
+// batch.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const { Readable, Writable } = require('stream');
+const { SizeLimitError } = require('./limits');
+const { encodeText } = require('./recorder');
+
+// Headers an item cannot set; the proxy sets them itself
+const FORBIDDEN_HEADERS = ['host', 'content-length', 'transfer-encoding', 'connection', 'keep-alive', 'expect', 'upgrade', 'te', 'trailer'];
+
+// A batch request body that is not a list of requests (400)
+class BatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BatchError';
+    this.code = 'EBATCH';
+    this.statusCode = 400;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// One request descriptor { url, method, headers, body, bodyEncoding, id, timeout }
+// as { index, id, target, url, method, headers, body, timeout, error }.
+// `error` explains why the item cannot be run.
+function parseItem(descriptor, index, options) {
+  const item = {
+    index,
+    id: undefined,
+    target: null,
+    url: null,
+    method: 'GET',
+    headers: {},
+    body: null,
+    timeout: options.itemTimeout,
+    error: null
+  };
+  const fail = message => {
+    item.error = message;
+    return item;
+  };
+
+  if (!isPlainObject(descriptor)) {
+    return fail('Expected an object with a "url"');
+  }
+  item.id = descriptor.id;
+  item.target = typeof descriptor.url === 'string' ? descriptor.url : null;
+  try {
+    item.url = new URL(descriptor.url);
+  } catch (err) {
+    return fail(`Invalid URL: ${descriptor.url}`);
+  }
+  if (item.url.protocol !== 'http:' && item.url.protocol !== 'https:') {
+    return fail(`Only http and https URLs can be fetched: ${descriptor.url}`);
+  }
+
+  if (descriptor.method !== undefined) {
+    if (typeof descriptor.method !== 'string' || !/^[A-Za-z]+$/.test(descriptor.method)) {
+      return fail('"method" must be an HTTP method');
+    }
+    item.method = descriptor.method.toUpperCase();
+  }
+
+  if (descriptor.headers !== undefined) {
+    if (!isPlainObject(descriptor.headers) || !Object.values(descriptor.headers).every(value => typeof value === 'string')) {
+      return fail('"headers" must be an object of header names and string values');
+    }
+    Object.keys(descriptor.headers).forEach(name => {
+      if (!FORBIDDEN_HEADERS.includes(name.toLowerCase())) {
+        item.headers[name.toLowerCase()] = descriptor.headers[name];
+      }
+    });
+  }
+
+  if (descriptor.body !== undefined && descriptor.body !== null) {
+    if (!options.bodyMethods.includes(item.method)) {
+      return fail(`${item.method} requests cannot have a body`);
+    }
+    if (typeof descriptor.body === 'string') {
+      item.body = Buffer.from(descriptor.body, descriptor.bodyEncoding === 'base64' ? 'base64' : 'utf8');
+    } else {
+      // Objects and lists are sent as JSON
+      item.body = Buffer.from(JSON.stringify(descriptor.body));
+      if (!item.headers['content-type']) item.headers['content-type'] = 'application/json';
+    }
+  }
+
+  if (descriptor.timeout !== undefined) {
+    if (typeof descriptor.timeout !== 'number' || !(descriptor.timeout > 0)) {
+      return fail('"timeout" must be a number of milliseconds');
+    }
+    // Items may ask for less time than batch.itemTimeout, not more
+    item.timeout = options.itemTimeout > 0 ? Math.min(descriptor.timeout, options.itemTimeout) : descriptor.timeout;
+  }
+
+  return item;
+}
+
+// Parse a batch request body: a JSON array of request descriptors.
+// Throws BatchError for anything else; a broken descriptor only fails its
+// own item (see parseItem), so the rest of the batch still runs.
+// `options` is the `batch` section plus proxy.bodyMethods.
+function parseBatch(text, options) {
+  let list;
+  try {
+    list = JSON.parse(text);
+  } catch (err) {
+    throw new BatchError(`Invalid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(list)) {
+    throw new BatchError('Expected a JSON array of requests');
+  }
+  if (!list.length) {
+    throw new BatchError('The batch is empty');
+  }
+  if (list.length > options.maxItems) {
+    throw new BatchError(`A batch may hold at most ${options.maxItems} requests, got ${list.length}`);
+  }
+  return list.map((descriptor, index) => parseItem(descriptor, index, options));
+}
+
+// Request object for one item, shaped like the incoming request the proxy
+// pipeline expects. It shares the client's socket, and the `inherited`
+// headers (origin, API key, ...) always come from the batch request.
+function createItemRequest(parent, item, inherited) {
+  const req = Readable.from(item.body ? [item.body] : [], { objectMode: false });
+  const headers = { 'user-agent': parent.headers['user-agent'], ...item.headers };
+  inherited.forEach(name => {
+    headers[name] = parent.headers[name];
+  });
+  if (item.body) {
+    headers['content-length'] = String(item.body.length);
+  }
+  Object.keys(headers).filter(name => headers[name] === undefined).forEach(name => delete headers[name]);
+
+  return Object.assign(req, {
+    method: item.method,
+    url: '/raw?url=' + encodeURIComponent(item.url.href),
+    headers,
+    httpVersion: parent.httpVersion,
+    socket: parent.socket,
+    connection: parent.socket
+  });
+}
+
+// Stands in for the ServerResponse of one item and keeps what the pipeline
+// answers: status, headers and up to `limit` bytes of body (0 for no limit)
+class CapturedResponse extends Writable {
+  constructor(limit) {
+    super();
+    this.statusCode = 200;
+    this.headersSent = false;
+    this.limit = limit;
+    this.headers = Object.create(null);
+    this.chunks = [];
+    this.bytes = 0;
+    this.error = null;
+    this.on('error', err => {
+      this.error = err;
+    });
+  }
+
+  setHeader(name, value) {
+    this.headers[name.toLowerCase()] = value;
+    return this;
+  }
+
+  getHeader(name) {
+    return this.headers[name.toLowerCase()];
+  }
+
+  hasHeader(name) {
+    return name.toLowerCase() in this.headers;
+  }
+
+  removeHeader(name) {
+    delete this.headers[name.toLowerCase()];
+  }
+
+  getHeaders() {
+    return { ...this.headers };
+  }
+
+  _write(chunk, encoding, callback) {
+    this.headersSent = true;
+    this.bytes += chunk.length;
+    if (this.limit > 0 && this.bytes > this.limit) {
+      callback(new SizeLimitError(`Response exceeds the batch item limit of ${this.limit} bytes`, 502, this.limit));
+      return;
+    }
+    this.chunks.push(chunk);
+    callback();
+  }
+
+  _final(callback) {
+    this.headersSent = true;
+    callback();
+  }
+}
+
+// Result of an item that could not be fetched
+function failedResult(item, status, message) {
+  const result = { index: item.index };
+  if (item.id !== undefined) result.id = item.id;
+  result.url = item.target;
+  result.status = status;
+  result.error = message;
+  return result;
+}
+
+// Result of an answered item: status, headers and body. Text bodies are
+// sent as they are, anything else as base64 with bodyEncoding: 'base64'.
+// CORS headers only concern the batch response, so they are left out.
+function itemResult(item, res) {
+  const result = { index: item.index };
+  if (item.id !== undefined) result.id = item.id;
+  result.url = item.target;
+  result.status = res.statusCode;
+  result.headers = {};
+  Object.keys(res.headers).filter(name => !name.startsWith('access-control-')).forEach(name => {
+    result.headers[name] = res.headers[name];
+  });
+
+  // The proxy's own plain text answers (403, 405, ...) carry no Content-Type
+  const mimeType = String(res.headers['content-type'] || 'text/plain').split(';')[0].trim();
+  const body = encodeText(Buffer.concat(res.chunks), mimeType);
+  result.body = body.text;
+  if (body.encoding) result.bodyEncoding = body.encoding;
+  return result;
+}
+
+// Run tasks 0..count-1 with at most `concurrency` at a time. run(index, done)
+// starts one; finished() is called when all are done. Returns stop(), after
+// which no more tasks are started.
+function runLimited(count, concurrency, run, finished) {
+  let next = 0;
+  let running = 0;
+  let stopped = false;
+
+  const startMore = () => {
+    while (!stopped && running < concurrency && next < count) {
+      const index = next++;
+      running++;
+      let called = false;
+      run(index, () => {
+        if (called) return;
+        called = true;
+        running--;
+        if (next >= count && running === 0) {
+          finished();
+        } else {
+          startMore();
+        }
+      });
+    }
+  };
+  startMore();
+
+  return () => {
+    stopped = true;
+  };
+}
+
+module.exports = {
+  parseBatch,
+  createItemRequest,
+  CapturedResponse,
+  failedResult,
+  itemResult,
+  runLimited,
+  BatchError
+};
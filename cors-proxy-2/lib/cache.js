@@ -0,0 +1,363 @@
+/////////////////////////////////////////////////////////
+// cache.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { HOP_BY_HOP_HEADERS } = require('./upstream-pool');
+
+// Statuses that may be stored without special handling (RFC 9111)
+const CACHEABLE_STATUSES = [200, 203, 204, 300, 301, 308, 404, 410];
+
+// Heuristic freshness for responses with Last-Modified only
+const HEURISTIC_FRACTION = 0.1;
+const HEURISTIC_MAX_SECONDS = 24 * 60 * 60;
+
+// Parse a Cache-Control header into { directive: value|true }
+function parseCacheControl(header) {
+  const directives = {};
+  if (!header) return directives;
+
+  String(header).split(',').forEach(part => {
+    const [name, value] = part.trim().split('=');
+    if (!name) return;
+    directives[name.toLowerCase()] = value === undefined ? true : value.replace(/^"|"$/g, '');
+  });
+
+  return directives;
+}
+
+function entrySize(key, entry) {
+  return key.length + entry.body.length + JSON.stringify(entry.headers).length;
+}
+
+// In-memory LRU store bounded by bytes. Map iteration order is insertion order,
+// so re-inserting on access keeps the least recently used entry first.
+class MemoryStore {
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const item = this.entries.get(key);
+    if (!item) return null;
+    this.entries.delete(key);
+    this.entries.set(key, item);
+    return item.entry;
+  }
+
+  async set(key, entry) {
+    await this.delete(key);
+    const size = entrySize(key, entry);
+    if (size > this.maxBytes) return;
+
+    this.entries.set(key, { entry, size });
+    this.bytes += size;
+
+    for (const [oldestKey, oldest] of this.entries) {
+      if (this.bytes <= this.maxBytes) break;
+      this.entries.delete(oldestKey);
+      this.bytes -= oldest.size;
+    }
+  }
+
+  async delete(key) {
+    const item = this.entries.get(key);
+    if (item) {
+      this.entries.delete(key);
+      this.bytes -= item.size;
+    }
+  }
+}
+
+// On-disk store bounded by bytes. One file per entry: a JSON metadata line
+// followed by the raw body. The LRU index is rebuilt from mtimes at startup.
+class DiskStore {
+  constructor(directory, maxBytes) {
+    this.directory = directory;
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    this.index = new Map();
+
+    fs.mkdirSync(directory, { recursive: true });
+    fs.readdirSync(directory)
+      .filter(name => name.endsWith('.cache'))
+      .map(name => ({ name, stat: fs.statSync(path.join(directory, name)) }))
+      .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs)
+      .forEach(({ name, stat }) => {
+        this.index.set(name, stat.size);
+        this.bytes += stat.size;
+      });
+  }
+
+  fileName(key) {
+    return crypto.createHash('sha256').update(key).digest('hex') + '.cache';
+  }
+
+  async get(key) {
+    const name = this.fileName(key);
+    if (!this.index.has(name)) return null;
+
+    let data;
+    try {
+      data = await fs.promises.readFile(path.join(this.directory, name));
+    } catch (err) {
+      this.forget(name);
+      return null;
+    }
+
+    const newline = data.indexOf(10);
+    const meta = JSON.parse(data.slice(0, newline).toString('utf8'));
+    if (meta.key !== key) return null;
+
+    const size = this.index.get(name);
+    this.index.delete(name);
+    this.index.set(name, size);
+
+    delete meta.key;
+    return { ...meta, body: data.slice(newline + 1) };
+  }
+
+  async set(key, entry) {
+    const name = this.fileName(key);
+    const { body, ...meta } = entry;
+    const data = Buffer.concat([Buffer.from(JSON.stringify({ key, ...meta }) + '\n'), body]);
+    if (data.length > this.maxBytes) return;
+
+    // Write to a temporary file first so readers never see half an entry
+    const file = path.join(this.directory, name);
+    await fs.promises.writeFile(file + '.tmp', data);
+    await fs.promises.rename(file + '.tmp', file);
+
+    this.forget(name);
+    this.index.set(name, data.length);
+    this.bytes += data.length;
+
+    for (const [oldest] of this.index) {
+      if (this.bytes <= this.maxBytes) break;
+      await this.remove(oldest);
+    }
+  }
+
+  async delete(key) {
+    const name = this.fileName(key);
+    if (this.index.has(name)) {
+      await this.remove(name);
+    }
+  }
+
+  forget(name) {
+    if (this.index.has(name)) {
+      this.bytes -= this.index.get(name);
+      this.index.delete(name);
+    }
+  }
+
+  async remove(name) {
+    this.forget(name);
+    await fs.promises.unlink(path.join(this.directory, name)).catch(() => {});
+  }
+}
+
+// Memory in front, disk behind. Disk hits are promoted into memory.
+class TieredStore {
+  constructor(memory, disk) {
+    this.memory = memory;
+    this.disk = disk;
+  }
+
+  async get(key) {
+    const entry = await this.memory.get(key);
+    if (entry || !this.disk) return entry;
+
+    const stored = await this.disk.get(key);
+    if (stored) await this.memory.set(key, stored);
+    return stored;
+  }
+
+  async set(key, entry) {
+    await this.memory.set(key, entry);
+    if (this.disk) await this.disk.set(key, entry);
+  }
+
+  async delete(key) {
+    await this.memory.delete(key);
+    if (this.disk) await this.disk.delete(key);
+  }
+}
+
+// Seconds the entry stays fresh after it was generated
+function freshnessLifetime(entry) {
+  const cc = parseCacheControl(entry.headers['cache-control']);
+  if (cc['s-maxage'] !== undefined) return Number(cc['s-maxage']) || 0;
+  if (cc['max-age'] !== undefined) return Number(cc['max-age']) || 0;
+
+  const date = Date.parse(entry.headers.date) || entry.storedAt;
+  if (entry.headers.expires) {
+    const expires = Date.parse(entry.headers.expires);
+    return isNaN(expires) ? 0 : Math.max(0, (expires - date) / 1000);
+  }
+
+  const lastModified = Date.parse(entry.headers['last-modified']);
+  if (!isNaN(lastModified)) {
+    return Math.min(HEURISTIC_MAX_SECONDS, Math.max(0, (date - lastModified) / 1000) * HEURISTIC_FRACTION);
+  }
+
+  return 0;
+}
+
+// Seconds since the upstream generated the entry
+function currentAge(entry) {
+  return (parseInt(entry.headers.age, 10) || 0) + (Date.now() - entry.storedAt) / 1000;
+}
+
+// Build a response cache from the `cache` section of config.js
+function createCache(options) {
+  const store = new TieredStore(
+    new MemoryStore(options.memoryMaxBytes),
+    options.diskPath ? new DiskStore(options.diskPath, options.diskMaxBytes) : null
+  );
+
+  function varyMatches(entry, headers) {
+    return Object.keys(entry.vary).every(name => (headers[name] || '') === entry.vary[name]);
+  }
+
+  // May this response be stored for later requests?
+  function isStorable(req, statusCode, headers) {
+    if (req.method !== 'GET' || !CACHEABLE_STATUSES.includes(statusCode)) return false;
+
+    const reqCC = parseCacheControl(req.headers['cache-control']);
+    const resCC = parseCacheControl(headers['cache-control']);
+    if (reqCC['no-store'] || resCC['no-store'] || resCC.private) return false;
+    if ((headers.vary || '').trim() === '*' || headers['set-cookie']) return false;
+
+    // Personalised requests are only shared when the upstream says so
+    if ((req.headers.authorization || req.headers.cookie) &&
+        !(resCC.public || resCC['s-maxage'] !== undefined)) {
+      return false;
+    }
+
+    const probe = { headers, storedAt: Date.now() };
+    return freshnessLifetime(probe) > 0 || Boolean(headers.etag || headers['last-modified']);
+  }
+
+  // Find an entry for the request. Resolves to null or { entry, age, fresh }.
+  async function lookup(req, key) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return null;
+
+    const reqCC = parseCacheControl(req.headers['cache-control']);
+    if (reqCC['no-store']) return null;
+
+    const entry = await store.get(key);
+    if (!entry || !varyMatches(entry, req.headers)) return null;
+
+    const age = currentAge(entry);
+    const resCC = parseCacheControl(entry.headers['cache-control']);
+    const fresh = age < freshnessLifetime(entry) &&
+      !resCC['no-cache'] &&
+      !reqCC['no-cache'] &&
+      !(reqCC['max-age'] !== undefined && age > Number(reqCC['max-age']));
+
+    return { entry, age, fresh };
+  }
+
+  // May a stale entry be served because the upstream failed?
+  function canServeStale(cached) {
+    const resCC = parseCacheControl(cached.entry.headers['cache-control']);
+    if (resCC['must-revalidate'] || resCC['proxy-revalidate'] || resCC['no-cache']) return false;
+
+    const window = resCC['stale-if-error'] !== undefined ? Number(resCC['stale-if-error']) : options.staleIfError;
+    return currentAge(cached.entry) - freshnessLifetime(cached.entry) <= window;
+  }
+
+  // Conditional headers to revalidate a stale entry
+  function validators(entry) {
+    const headers = {};
+    if (entry.headers.etag) headers['if-none-match'] = entry.headers.etag;
+    if (entry.headers['last-modified']) headers['if-modified-since'] = entry.headers['last-modified'];
+    return headers;
+  }
+
+  // Merge the headers of a 304 into the stored entry and restart its age
+  async function refresh(key, entry, headers) {
+    const updated = { ...entry, headers: { ...entry.headers }, storedAt: Date.now() };
+    Object.keys(headers).forEach(name => {
+      if (!HOP_BY_HOP_HEADERS.includes(name) && name !== 'content-length') {
+        updated.headers[name] = headers[name];
+      }
+    });
+    await store.set(key, updated);
+    return updated;
+  }
+
+  // Tee an upstream response into the cache while it streams to the client
+  function capture(req, key, finalUrl, statusCode, proxyRes) {
+    if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) && statusCode < 400) {
+      // Unsafe methods invalidate what we know about the URL
+      store.delete(key).catch(err => console.error('Cache error:', err));
+      return;
+    }
+    if (!isStorable(req, statusCode, proxyRes.headers)) return;
+
+    const chunks = [];
+    let size = 0;
+    let complete = true;
+
+    proxyRes.on('data', chunk => {
+      if (!complete) return;
+      size += chunk.length;
+      if (size > options.maxEntryBytes) {
+        complete = false;
+        chunks.length = 0;
+        return;
+      }
+      chunks.push(chunk);
+    });
+    proxyRes.on('aborted', () => {
+      complete = false;
+    });
+    proxyRes.on('end', () => {
+      if (!complete) return;
+
+      const body = Buffer.concat(chunks);
+      const headers = {};
+      Object.keys(proxyRes.headers).forEach(name => {
+        if (!HOP_BY_HOP_HEADERS.includes(name)) headers[name] = proxyRes.headers[name];
+      });
+      headers['content-length'] = String(body.length);
+
+      const vary = {};
+      (proxyRes.headers.vary || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+        .forEach(name => {
+          vary[name] = req.headers[name] || '';
+        });
+
+      store.set(key, { statusCode, headers, vary, finalUrl, storedAt: Date.now(), body })
+        .catch(err => console.error('Cache error:', err));
+    });
+  }
+
+  return {
+    lookup,
+    canServeStale,
+    validators,
+    refresh,
+    capture
+  };
+}
+
+module.exports = {
+  createCache,
+  parseCacheControl,
+  MemoryStore,
+  DiskStore
+};
@@ -0,0 +1,132 @@
+/////////////////////////////////////////////////////////
+// circuit-breaker.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+// Hosts with recent failures that are tracked; the oldest closed ones are
+// forgotten first so random failing targets cannot grow the map without bound
+const MAX_CIRCUITS = 10000;
+
+// Upstream statuses that count as failures, like connection errors and timeouts
+const FAILURE_STATUSES = [502, 503, 504];
+
+// Raised instead of contacting an upstream whose circuit is open (503)
+class CircuitOpenError extends Error {
+  constructor(host, retryAfterSeconds) {
+    super(`Upstream ${host} is failing, retry in ${retryAfterSeconds}s`);
+    this.name = 'CircuitOpenError';
+    this.code = 'ECIRCUITOPEN';
+    this.statusCode = 503;
+    this.host = host;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+// Per-host circuit breaker, built from the `circuitBreaker` section of config.js.
+//   closed    - requests go through; `failureThreshold` consecutive failures open it
+//   open      - requests fail fast for `openDuration` ms
+//   half-open - up to `halfOpenRequests` probes go through; a success closes
+//               the circuit, a failure opens it again
+// Every request let through by check() must be followed by success() or
+// failure(), or by release() for a probe that ended without an outcome.
+class CircuitBreaker {
+  constructor(options) {
+    this.options = options;
+    // host -> { state, failures, openedAt, probes }
+    this.circuits = new Map();
+  }
+
+  // Whether a request to `host` may go ahead:
+  // { allowed, probe, retryAfterSeconds }
+  check(host) {
+    const circuit = this.circuits.get(host);
+    if (!circuit || circuit.state === 'closed') {
+      return { allowed: true, probe: false, retryAfterSeconds: 0 };
+    }
+
+    if (circuit.state === 'open') {
+      const wait = circuit.openedAt + this.options.openDuration - Date.now();
+      if (wait > 0) {
+        return { allowed: false, probe: false, retryAfterSeconds: Math.ceil(wait / 1000) };
+      }
+      circuit.state = 'half-open';
+      circuit.probes = 0;
+    }
+
+    if (circuit.probes >= this.options.halfOpenRequests) {
+      return { allowed: false, probe: false, retryAfterSeconds: 1 };
+    }
+    circuit.probes++;
+    return { allowed: true, probe: true, retryAfterSeconds: 0 };
+  }
+
+  success(host) {
+    this.circuits.delete(host);
+  }
+
+  failure(host) {
+    let circuit = this.circuits.get(host);
+    if (!circuit) {
+      this.forgetOldest();
+      circuit = { state: 'closed', failures: 0, openedAt: 0, probes: 0 };
+      this.circuits.set(host, circuit);
+    }
+
+    if (circuit.state === 'half-open') {
+      this.open(circuit);
+    } else if (circuit.state === 'closed') {
+      circuit.failures++;
+      if (circuit.failures >= this.options.failureThreshold) {
+        this.open(circuit);
+      }
+    }
+  }
+
+  // A probe ended without telling anything about the upstream (the client
+  // went away), so another request may probe instead
+  release(host) {
+    const circuit = this.circuits.get(host);
+    if (circuit && circuit.state === 'half-open' && circuit.probes > 0) {
+      circuit.probes--;
+    }
+  }
+
+  open(circuit) {
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    circuit.probes = 0;
+  }
+
+  forgetOldest() {
+    if (this.circuits.size < MAX_CIRCUITS) return;
+    for (const [host, circuit] of this.circuits) {
+      if (circuit.state === 'closed') {
+        this.circuits.delete(host);
+        return;
+      }
+    }
+  }
+
+  // Tracked hosts for monitoring: [{ host, state, failures }].
+  // Hosts without recent failures are closed and not listed.
+  states() {
+    const now = Date.now();
+    return Array.from(this.circuits, ([host, circuit]) => ({
+      host,
+      // An open circuit whose time is up takes the next request as a probe
+      state: circuit.state === 'open' && now - circuit.openedAt >= this.options.openDuration ? 'half-open' : circuit.state,
+      failures: circuit.failures
+    }));
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  FAILURE_STATUSES
+};
@@ -0,0 +1,98 @@
+/////////////////////////////////////////////////////////
+// compression.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const zlib = require('zlib');
+const { createMatcher } = require('./patterns');
+const { decoderFor } = require('./rewrite');
+
+// Encodings the proxy can produce
+const ENCODINGS = ['br', 'gzip'];
+
+// Accept-Encoding as a Map of coding -> q value
+function parseAcceptEncoding(header) {
+  const accepted = new Map();
+  String(header || '').split(',').forEach(part => {
+    const [coding, ...params] = part.trim().toLowerCase().split(';').map(value => value.trim());
+    if (!coding) return;
+    const q = params.find(param => param.startsWith('q='));
+    const value = q ? parseFloat(q.slice(2)) : 1;
+    accepted.set(coding === 'x-gzip' ? 'gzip' : coding, isNaN(value) ? 0 : value);
+  });
+  return accepted;
+}
+
+// Whether the client takes `coding`; identity is fine unless refused explicitly
+function isAcceptable(accepted, coding) {
+  if (accepted.has(coding)) return accepted.get(coding) > 0;
+  if (accepted.has('*')) return accepted.get('*') > 0;
+  return coding === 'identity';
+}
+
+// Build the compression negotiation from the `compression` section of config.js
+function createCompression(options) {
+  const isCompressible = createMatcher(options.contentTypes);
+  const encodings = options.encodings.filter(coding => ENCODINGS.includes(coding));
+
+  function encoderFor(coding) {
+    if (coding === 'br') {
+      return zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: options.brotliQuality } });
+    }
+    return zlib.createGzip({ level: options.gzipLevel });
+  }
+
+  // How to send a response body whose current encoding is `bodyEncoding`.
+  // Returns null if the response is left alone, otherwise
+  // { vary, encoding, streams }: whether the result depends on Accept-Encoding,
+  // the encoding to send and the streams that get the body there (none if
+  // it is already in that encoding).
+  function negotiate(req, statusCode, headers, bodyEncoding) {
+    if (statusCode === 204 || statusCode === 304 || statusCode === 206 || headers['content-range']) return null;
+    if (/(^|,)\s*no-transform\s*(,|$)/i.test(headers['cache-control'] || '')) return null;
+
+    const type = String(headers['content-type'] || '').split(';')[0].trim();
+    const compressible = isCompressible(type);
+    let current = String(bodyEncoding || 'identity').trim().toLowerCase();
+    if (current === 'x-gzip') current = 'gzip';
+    if (!compressible && current === 'identity') return null;
+
+    const accepted = parseAcceptEncoding(req.headers['accept-encoding']);
+    if (current !== 'identity' && isAcceptable(accepted, current)) {
+      return { vary: true, encoding: current, streams: [] };
+    }
+
+    // The client cannot take the upstream's encoding: decode first
+    const streams = [];
+    if (current !== 'identity') {
+      const decoder = decoderFor(current);
+      if (!decoder) return null;
+      streams.push(decoder);
+    }
+
+    // Small bodies are not worth compressing; the size is only known before decoding
+    const length = current === 'identity' ? parseInt(headers['content-length'], 10) : NaN;
+    let encoding = 'identity';
+    if (compressible && !(length < options.threshold)) {
+      encoding = encodings.find(coding => isAcceptable(accepted, coding)) || 'identity';
+    }
+    if (encoding !== 'identity') {
+      streams.push(encoderFor(encoding));
+    }
+    return { vary: true, encoding, streams };
+  }
+
+  return {
+    negotiate
+  };
+}
+
+module.exports = {
+  createCompression,
+  parseAcceptEncoding
+};
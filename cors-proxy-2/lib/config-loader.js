@@ -0,0 +1,553 @@
+/////////////////////////////////////////////////////////
+// config-loader.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const fs = require('fs');
+const path = require('path');
+
+// Environment variables: CORS_PROXY_<SECTION>__<KEY>, '__' separates levels
+const ENV_PREFIX = 'CORS_PROXY_';
+
+// Older variables kept working, below the CORS_PROXY_* ones
+const LEGACY_ENV = {
+  PORT: 'server.port',
+  HTTPS_PORT: 'server.httpsPort'
+};
+
+// Shorthand command line flags
+const FLAG_ALIASES = {
+  port: 'server.port',
+  'https-port': 'server.httpsPort',
+  host: 'server.host'
+};
+
+// Allowed values for string options
+const ENUMS = {
+  'redirects.mode': ['passthrough', 'follow', 'rewrite'],
+  'redirects.rewriteStyle': ['raw', 'path'],
+  'rewrite.style': ['raw', 'path'],
+  'tls.minVersion': ['TLSv1.2', 'TLSv1.3'],
+  'recording.mode': ['off', 'record', 'replay'],
+  'recording.format': ['har', 'fixtures'],
+  'rateLimit.keyBy': ['ip', 'origin', 'apiKey'],
+  'accessLog.format': ['json', 'combined']
+};
+
+const USAGE = `Usage: node server.js [options]
+
+Options:
+  --config <file>        JSON or YAML config file (env: CORS_PROXY_CONFIG)
+  --port <n>             HTTP port (env: PORT)
+  --https-port <n>       HTTPS port (env: HTTPS_PORT)
+  --host <address>       Bind address
+  --<section.key> <v>    Any setting, e.g. --proxy.timeout 10000 --cors.allowed-origins '["*"]'
+  --print-config         Print the effective configuration and exit
+  -h, --help             Show this help
+
+Precedence (lowest to highest): config.js defaults, config file,
+environment (CORS_PROXY_SECTION__KEY=value), command line flags.`;
+
+// Error carrying every problem found, so they can be fixed in one go
+class ConfigError extends Error {
+  constructor(problems) {
+    super('Invalid configuration:\n  - ' + problems.join('\n  - '));
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// 'allowed-origins' / 'ALLOWED_ORIGINS' -> 'allowedOrigins', 'allowedOrigins' stays
+function toCamelCase(segment) {
+  if (!/[-_]/.test(segment) && segment !== segment.toUpperCase()) return segment;
+  return segment.toLowerCase().replace(/[-_]+([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+// Number of single-character edits between two words (for "did you mean")
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (value, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+// Objects whose defaults are empty take arbitrary keys (e.g. rateLimit.hosts)
+function isFreeForm(defaultValue) {
+  return isPlainObject(defaultValue) && Object.keys(defaultValue).length === 0;
+}
+
+function getPath(object, dotted) {
+  return dotted.split('.').reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), object);
+}
+
+function setPath(object, dotted, value) {
+  const keys = dotted.split('.');
+  const last = keys.pop();
+  let node = object;
+  keys.forEach(key => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    node = node[key];
+  });
+  node[last] = value;
+}
+
+// Objects merge key by key, everything else (arrays included) is replaced
+function merge(target, source) {
+  Object.keys(source).forEach(key => {
+    if (isPlainObject(target[key]) && isPlainObject(source[key]) && !isFreeForm(target[key])) {
+      merge(target[key], source[key]);
+    } else {
+      target[key] = source[key];
+    }
+  });
+  return target;
+}
+
+// Turn a string from the environment or command line into the type of the default
+function coerce(raw, defaultValue, name, problems) {
+  const text = String(raw).trim();
+
+  if (typeof defaultValue === 'number') {
+    const number = Number(text);
+    if (text === '' || isNaN(number)) problems.push(`${name}: "${raw}" is not a number`);
+    return number;
+  }
+  if (typeof defaultValue === 'boolean') {
+    if (!['true', 'false', '1', '0'].includes(text)) problems.push(`${name}: "${raw}" is not true or false`);
+    return text === 'true' || text === '1';
+  }
+  if (Array.isArray(defaultValue) || isPlainObject(defaultValue) || defaultValue === null) {
+    if (/^[[{]/.test(text) || text === 'null') {
+      try {
+        return JSON.parse(text);
+      } catch (err) {
+        problems.push(`${name}: invalid JSON (${err.message})`);
+        return defaultValue;
+      }
+    }
+    if (Array.isArray(defaultValue)) {
+      return text === '' ? [] : text.split(',').map(item => item.trim());
+    }
+  }
+  return text;
+}
+
+// Parse a JSON or YAML file. YAML needs the optional `yaml` or `js-yaml` package.
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new ConfigError([`config file ${file}: ${err.message}`]);
+  }
+
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.yml' || extension === '.yaml') {
+    let parse;
+    try {
+      parse = require('yaml').parse;
+    } catch (err) {
+      try {
+        parse = require('js-yaml').load;
+      } catch (innerErr) {
+        throw new ConfigError([`config file ${file}: YAML needs "npm install yaml" (or js-yaml), or use JSON`]);
+      }
+    }
+    try {
+      return parse(text) || {};
+    } catch (err) {
+      throw new ConfigError([`config file ${file}: ${err.message}`]);
+    }
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new ConfigError([`config file ${file}: ${err.message}`]);
+  }
+}
+
+function parseArgs(argv, problems) {
+  const flags = { configFile: null, printConfig: false, help: false, settings: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      flags.help = true;
+      continue;
+    }
+    if (arg === '--print-config') {
+      flags.printConfig = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      problems.push(`unexpected argument "${arg}"`);
+      continue;
+    }
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (value === undefined) {
+      value = argv[i + 1];
+      i++;
+      if (value === undefined) {
+        problems.push(`--${name} needs a value`);
+        break;
+      }
+    }
+
+    if (name === 'config') {
+      flags.configFile = value;
+    } else {
+      const dotted = FLAG_ALIASES[name] || name.split('.').map(toCamelCase).join('.');
+      flags.settings.push({ dotted, value, source: `--${name}` });
+    }
+  }
+
+  return flags;
+}
+
+function envSettings(env) {
+  const settings = [];
+  Object.keys(LEGACY_ENV).forEach(name => {
+    if (env[name] !== undefined) settings.push({ dotted: LEGACY_ENV[name], value: env[name], source: name });
+  });
+  Object.keys(env)
+    .filter(name => name.startsWith(ENV_PREFIX) && name !== ENV_PREFIX + 'CONFIG')
+    .forEach(name => {
+      const dotted = name.slice(ENV_PREFIX.length).split('__').map(toCamelCase).join('.');
+      settings.push({ dotted, value: env[name], source: name });
+    });
+  return settings;
+}
+
+// Compare every value with the type of its default and apply specific rules
+function validate(config, defaults) {
+  const problems = [];
+
+  function walk(value, defaultValue, dotted) {
+    if (isPlainObject(defaultValue) && !isFreeForm(defaultValue)) {
+      if (!isPlainObject(value)) {
+        problems.push(`${dotted}: expected an object`);
+        return;
+      }
+      Object.keys(value).forEach(key => {
+        const childPath = dotted ? `${dotted}.${key}` : key;
+        if (!(key in defaultValue)) {
+          const close = Object.keys(defaultValue).find(known => editDistance(known.toLowerCase(), key.toLowerCase()) <= 2);
+          problems.push(`${childPath}: unknown setting` + (close ? ` (did you mean ${dotted ? dotted + '.' : ''}${close}?)` : ''));
+          return;
+        }
+        walk(value[key], defaultValue[key], childPath);
+      });
+      return;
+    }
+
+    if (defaultValue === null || value === null) return;
+    if (Array.isArray(defaultValue) && !Array.isArray(value)) {
+      problems.push(`${dotted}: expected a list`);
+    } else if (isFreeForm(defaultValue) && !isPlainObject(value)) {
+      problems.push(`${dotted}: expected an object`);
+    } else if (typeof defaultValue === 'number' && (typeof value !== 'number' || isNaN(value))) {
+      problems.push(`${dotted}: expected a number`);
+    } else if (typeof defaultValue === 'boolean' && typeof value !== 'boolean') {
+      problems.push(`${dotted}: expected true or false`);
+    } else if (typeof defaultValue === 'string' && typeof value !== 'string') {
+      problems.push(`${dotted}: expected a string`);
+    }
+  }
+  walk(config, defaults, '');
+
+  ['server.port', 'server.httpsPort', 'tls.redirect.port', 'tls.redirect.httpsPort'].forEach(dotted => {
+    const port = getPath(config, dotted);
+    if (typeof port === 'number' && !(Number.isInteger(port) && port >= 0 && port <= 65535)) {
+      problems.push(`${dotted}: ${port} is not a valid port`);
+    }
+  });
+  Object.keys(ENUMS).forEach(dotted => {
+    const value = getPath(config, dotted);
+    if (typeof value === 'string' && !ENUMS[dotted].includes(value)) {
+      problems.push(`${dotted}: "${value}" must be one of ${ENUMS[dotted].join(', ')}`);
+    }
+  });
+  ['proxy.timeout', 'cache.memoryMaxBytes', 'cache.maxEntryBytes', 'cache.diskMaxBytes',
+    'accessLog.maxBytes', 'accessLog.maxFiles', 'redirects.maxRedirects',
+    'upstream.maxSockets', 'upstream.maxFreeSockets', 'upstream.idleTimeout',
+    'circuitBreaker.failureThreshold', 'circuitBreaker.openDuration', 'circuitBreaker.halfOpenRequests',
+    'batch.maxItems', 'batch.concurrency'].forEach(dotted => {
+    const value = getPath(config, dotted);
+    if (typeof value === 'number' && !(value > 0)) problems.push(`${dotted}: must be greater than 0`);
+  });
+  ['proxy.idleTimeout', 'proxy.totalTimeout', 'websocket.idleTimeout', 'websocket.maxLifetime',
+    'cors.maxAge', 'tls.reloadInterval', 'compression.threshold', 'limits.maxRequestBytes', 'limits.maxResponseBytes', 'retry.maxRetries', 'retry.baseDelay', 'retry.maxDelay', 'retry.maxRetryAfter',
+    'batch.itemTimeout', 'batch.maxItemBytes', 'egress.connectTimeout'].forEach(dotted => {
+    const value = getPath(config, dotted);
+    if (typeof value === 'number' && value < 0) problems.push(`${dotted}: must be 0 or greater`);
+  });
+
+  const gzipLevel = getPath(config, 'compression.gzipLevel');
+  if (typeof gzipLevel === 'number' && !(Number.isInteger(gzipLevel) && gzipLevel >= 1 && gzipLevel <= 9)) {
+    problems.push('compression.gzipLevel: must be a whole number from 1 to 9');
+  }
+  const brotliQuality = getPath(config, 'compression.brotliQuality');
+  if (typeof brotliQuality === 'number' && !(Number.isInteger(brotliQuality) && brotliQuality >= 0 && brotliQuality <= 11)) {
+    problems.push('compression.brotliQuality: must be a whole number from 0 to 11');
+  }
+  (getPath(config, 'compression.encodings') || []).forEach(coding => {
+    if (!['br', 'gzip'].includes(coding)) problems.push(`compression.encodings: "${coding}" must be br or gzip`);
+  });
+
+  const statuses = getPath(config, 'retry.statuses');
+  if (Array.isArray(statuses) && !statuses.every(status => Number.isInteger(status) && status >= 100 && status <= 599)) {
+    problems.push('retry.statuses: expected a list of HTTP status codes');
+  }
+
+  const limits = [['rateLimit.default', getPath(config, 'rateLimit.default')]]
+    .concat(Object.entries(getPath(config, 'rateLimit.hosts') || {}).map(([host, limit]) => [`rateLimit.hosts.${host}`, limit]));
+  limits.forEach(([dotted, limit]) => {
+    if (!isPlainObject(limit) || !(limit.capacity > 0) || !(limit.refillPerSecond > 0)) {
+      problems.push(`${dotted}: needs a positive capacity and refillPerSecond`);
+    }
+  });
+
+  Object.entries(getPath(config, 'limits.hostMethods') || {}).forEach(([host, methods]) => {
+    if (!Array.isArray(methods) || !methods.length || !methods.every(method => typeof method === 'string')) {
+      problems.push(`limits.hostMethods.${host}: expected a list of methods`);
+    }
+  });
+
+  (getPath(config, 'cors.allowedOrigins') || []).forEach((entry, index) => {
+    if (typeof entry !== 'string' && !(isPlainObject(entry) && typeof entry.origin === 'string')) {
+      problems.push(`cors.allowedOrigins[${index}]: expected a string or an object with "origin"`);
+    }
+  });
+
+  const headerOperations = (operations, where) => {
+    if (operations === undefined) return;
+    if (!isPlainObject(operations)) {
+      problems.push(`${where}: expected an object`);
+      return;
+    }
+    if (operations.remove !== undefined && !(Array.isArray(operations.remove) && operations.remove.every(name => typeof name === 'string'))) {
+      problems.push(`${where}.remove: expected a list of header names`);
+    }
+    ['set', 'append'].forEach(key => {
+      const values = operations[key];
+      if (values !== undefined && !(isPlainObject(values) && Object.values(values).every(value => typeof value === 'string'))) {
+        problems.push(`${where}.${key}: expected an object of header names and string values`);
+      }
+    });
+  };
+  headerOperations(getPath(config, 'headers.request'), 'headers.request');
+  headerOperations(getPath(config, 'headers.response'), 'headers.response');
+  (getPath(config, 'headers.rules') || []).forEach((rule, index) => {
+    const where = `headers.rules[${index}]`;
+    if (!isPlainObject(rule) || !Array.isArray(rule.hosts) || !rule.hosts.length || !rule.hosts.every(host => typeof host === 'string')) {
+      problems.push(`${where}: needs a "hosts" list of host patterns`);
+      return;
+    }
+    Object.keys(rule).filter(key => !['hosts', 'request', 'response', 'expose'].includes(key)).forEach(key => {
+      problems.push(`${where}.${key}: unknown setting`);
+    });
+    headerOperations(rule.request, `${where}.request`);
+    headerOperations(rule.response, `${where}.response`);
+    if (rule.expose !== undefined && !(Array.isArray(rule.expose) && rule.expose.every(name => typeof name === 'string'))) {
+      problems.push(`${where}.expose: expected a list of header names`);
+    }
+  });
+
+  const matchBy = getPath(config, 'recording.matchBy');
+  if (Array.isArray(matchBy) && (!matchBy.length || !matchBy.every(part => ['method', 'url', 'body'].includes(part)))) {
+    problems.push('recording.matchBy: expected a list of method, url and body');
+  }
+  if (getPath(config, 'recording.mode') === 'replay' && !fs.existsSync(getPath(config, 'recording.path'))) {
+    problems.push(`recording.path: ${getPath(config, 'recording.path')} does not exist`);
+  }
+
+  // Egress proxies are http(s) URLs, routes may also say 'direct'
+  const proxyUrl = (value, where) => {
+    if (typeof value !== 'string' || !value) {
+      problems.push(`${where}: expected a proxy URL`);
+      return;
+    }
+    try {
+      const url = new URL(value.includes('://') ? value : `http://${value}`);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        problems.push(`${where}: only http:// and https:// proxies are supported`);
+      }
+    } catch (err) {
+      problems.push(`${where}: ${value} is not a valid URL`);
+    }
+  };
+  ['egress.httpProxy', 'egress.httpsProxy'].forEach(dotted => {
+    const value = getPath(config, dotted);
+    if (value !== null && value !== undefined) proxyUrl(value, dotted);
+  });
+  Object.entries(getPath(config, 'egress.routes') || {}).forEach(([host, value]) => {
+    if (value !== 'direct') proxyUrl(value, `egress.routes.${host}`);
+  });
+
+  // Certificate files named explicitly have to exist; search paths are optional
+  const certificateFiles = (spec, where) => {
+    ['key', 'cert'].forEach(key => {
+      if (spec[key] !== null && spec[key] !== undefined && typeof spec[key] !== 'string') {
+        problems.push(`${where}.${key}: expected a path`);
+      } else if (typeof spec[key] === 'string' && !fs.existsSync(spec[key])) {
+        problems.push(`${where}.${key}: ${spec[key]} does not exist`);
+      }
+    });
+    if (spec.ca !== null && spec.ca !== undefined) {
+      const ca = [].concat(spec.ca);
+      if (!ca.every(file => typeof file === 'string')) {
+        problems.push(`${where}.ca: expected a path or a list of paths`);
+      } else {
+        ca.filter(file => !fs.existsSync(file)).forEach(file => problems.push(`${where}.ca: ${file} does not exist`));
+      }
+    }
+  };
+  const tls = getPath(config, 'tls');
+  if (isPlainObject(tls)) {
+    certificateFiles(tls, 'tls');
+    if (tls.passphrase !== null && typeof tls.passphrase !== 'string') {
+      problems.push('tls.passphrase: expected a string');
+    }
+  }
+  Object.entries(getPath(config, 'tls.sni') || {}).forEach(([name, spec]) => {
+    const where = `tls.sni.${name}`;
+    if (!isPlainObject(spec) || typeof spec.key !== 'string' || typeof spec.cert !== 'string') {
+      problems.push(`${where}: needs "key" and "cert" paths`);
+      return;
+    }
+    Object.keys(spec).filter(key => !['key', 'cert', 'ca', 'passphrase'].includes(key)).forEach(key => {
+      problems.push(`${where}.${key}: unknown setting`);
+    });
+    certificateFiles(spec, where);
+  });
+
+  if (getPath(config, 'auth.enabled') && !fs.existsSync(getPath(config, 'auth.keysFile'))) {
+    problems.push(`auth.keysFile: ${getPath(config, 'auth.keysFile')} does not exist`);
+  }
+
+  return problems;
+}
+
+// Build the effective configuration:
+// config.js defaults < config file < environment < command line flags.
+// Returns { config, printConfig, help }; throws ConfigError listing all problems.
+function loadConfig({ argv = [], env = {}, defaults = require('../config') } = {}) {
+  const problems = [];
+  const flags = parseArgs(argv, problems);
+  const config = clone(defaults);
+
+  const configFile = flags.configFile || env[ENV_PREFIX + 'CONFIG'];
+  if (configFile) {
+    const fromFile = readConfigFile(configFile);
+    if (!isPlainObject(fromFile)) {
+      throw new ConfigError([`config file ${configFile}: expected an object at the top level`]);
+    }
+    merge(config, fromFile);
+  }
+
+  envSettings(env).concat(flags.settings).forEach(({ dotted, value, source }) => {
+    const defaultValue = getPath(defaults, dotted);
+    if (defaultValue === undefined && !isFreeForm(getPath(defaults, dotted.split('.').slice(0, -1).join('.')))) {
+      problems.push(`${source}: unknown setting ${dotted}`);
+      return;
+    }
+    setPath(config, dotted, coerce(value, defaultValue, source, problems));
+  });
+
+  problems.push(...validate(config, defaults));
+  if (problems.length && !flags.help) {
+    throw new ConfigError(problems);
+  }
+
+  return {
+    config,
+    printConfig: flags.printConfig,
+    help: flags.help
+  };
+}
+
+// Hide the user:password part of a proxy URL ('proxy.corp:3128' form included)
+function redactUrl(value) {
+  return typeof value === 'string' ? value.replace(/^([a-z][a-z0-9+.-]*:\/\/)?[^/@]+@/i, '$1REDACTED@') : value;
+}
+
+// Request header values written into the config, unless they take their
+// secret from the environment ('Bearer ${env:API_TOKEN}')
+function redactHeaderValues(operations) {
+  if (!isPlainObject(operations)) return;
+  ['set', 'append'].forEach(key => {
+    const values = operations[key];
+    Object.keys(isPlainObject(values) ? values : {}).forEach(name => {
+      if (!/\$\{env:[A-Za-z_][A-Za-z0-9_]*\}/.test(values[name])) values[name] = 'REDACTED';
+    });
+  });
+}
+
+// Copy of the configuration for --print-config, with the TLS passphrases,
+// the credentials in egress proxy URLs and literal request header values
+// replaced by 'REDACTED'
+function redactConfig(config) {
+  const copy = clone(config);
+  const tls = copy.tls || {};
+  if (tls.passphrase) tls.passphrase = 'REDACTED';
+  Object.values(tls.sni || {}).forEach(spec => {
+    if (isPlainObject(spec) && spec.passphrase) spec.passphrase = 'REDACTED';
+  });
+  const egress = copy.egress || {};
+  ['httpProxy', 'httpsProxy'].forEach(key => {
+    egress[key] = redactUrl(egress[key]);
+  });
+  Object.keys(egress.routes || {}).forEach(host => {
+    egress.routes[host] = redactUrl(egress.routes[host]);
+  });
+  const headers = copy.headers || {};
+  redactHeaderValues(headers.request);
+  (Array.isArray(headers.rules) ? headers.rules : []).forEach(rule => {
+    if (isPlainObject(rule)) redactHeaderValues(rule.request);
+  });
+  return copy;
+}
+
+// Complete partial settings with the config.js defaults and validate them,
+// for callers that build the settings in code (see createProxy)
+function resolveConfig(settings = {}, defaults = require('../config')) {
+  if (!isPlainObject(settings)) {
+    throw new ConfigError(['expected the settings to be an object']);
+  }
+  const config = merge(clone(defaults), clone(settings));
+  const problems = validate(config, defaults);
+  if (problems.length) {
+    throw new ConfigError(problems);
+  }
+  return config;
+}
+
+module.exports = {
+  loadConfig,
+  resolveConfig,
+  redactConfig,
+  ConfigError,
+  USAGE
+};
@@ -0,0 +1,198 @@
+/////////////////////////////////////////////////////////
+// cors-policy.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const { createMatcher } = require('./patterns');
+
+// Add a value to the Vary header without dropping what is already there
+function appendVary(res, value) {
+  const current = res.getHeader('Vary');
+  if (!current) {
+    res.setHeader('Vary', value);
+    return;
+  }
+  const values = String(current).split(',').map(v => v.trim().toLowerCase());
+  if (!values.includes('*') && !values.includes(value.toLowerCase())) {
+    res.setHeader('Vary', current + ', ' + value);
+  }
+}
+
+// Comma-separated header value as a list of trimmed, non-empty entries
+function parseList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Methods a cross-origin request may use without being listed in a preflight answer
+const SAFELISTED_METHODS = ['GET', 'HEAD', 'POST'];
+
+// Let browser scripts read additional response headers
+function exposeHeaders(res, names) {
+  const current = res.getHeader('Access-Control-Expose-Headers');
+  const values = current ? String(current).split(',').map(v => v.trim()) : [];
+  names.forEach(name => {
+    if (!values.some(v => v.toLowerCase() === name.toLowerCase())) values.push(name);
+  });
+  res.setHeader('Access-Control-Expose-Headers', values.join(', '));
+}
+
+// Build an origin policy from the `cors` section of config.js.
+// Each allowedOrigins entry is either a string (exact origin or wildcard pattern)
+// or an object { origin, methods, headers, credentials } overriding the defaults.
+// `headers` may contain '*' to allow any request header.
+function createCorsPolicy(options) {
+  const defaults = {
+    methods: options.allowedMethods || [],
+    headers: options.allowedHeaders || [],
+    credentials: Boolean(options.credentials)
+  };
+
+  const rules = (options.allowedOrigins || []).map(entry => {
+    const spec = typeof entry === 'string' ? { origin: entry } : entry;
+    return {
+      origin: spec.origin,
+      anyOrigin: spec.origin === '*',
+      matches: createMatcher([spec.origin]),
+      methods: (spec.methods || defaults.methods).map(method => method.toUpperCase()),
+      headers: spec.headers || defaults.headers,
+      credentials: spec.credentials !== undefined ? Boolean(spec.credentials) : defaults.credentials
+    };
+  });
+
+  // First matching rule wins, so list specific origins before broad patterns
+  function resolve(origin) {
+    return rules.find(rule => rule.matches(origin)) || null;
+  }
+
+  // Set CORS headers for the request's origin.
+  // Returns false (after sending 403/405) if the request must not be proxied.
+  function apply(req, res) {
+    const origin = req.headers.origin;
+
+    if (!origin) {
+      if (options.allowMissingOrigin) return true;
+      res.statusCode = 403;
+      res.end('Origin header required');
+      return false;
+    }
+
+    const rule = resolve(origin);
+    if (!rule) {
+      res.statusCode = 403;
+      res.end('Origin not allowed: ' + origin);
+      return false;
+    }
+
+    if (rule.anyOrigin && !rule.credentials) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else {
+      // Echo the origin; a credentialed response may never use '*'
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      appendVary(res, 'Origin');
+    }
+    if (rule.credentials) {
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+    }
+
+    if (req.method !== 'OPTIONS' && !rule.methods.includes(req.method)) {
+      res.statusCode = 405;
+      res.end(`Method ${req.method} not allowed for origin ${origin}`);
+      return false;
+    }
+
+    return true;
+  }
+
+  // A CORS preflight, as opposed to a plain OPTIONS request
+  function isPreflight(req) {
+    return req.method === 'OPTIONS' && Boolean(req.headers.origin) && Boolean(req.headers['access-control-request-method']);
+  }
+
+  // Check a preflight against the origin's rule (after apply() accepted the
+  // origin). Returns the answer to send, { method, headers, maxAge, privateNetwork },
+  // or null after answering 405 for a method the origin may not use.
+  // Only the allowed subset of the requested headers is echoed.
+  function checkPreflight(req, res) {
+    const rule = resolve(req.headers.origin);
+    const method = req.headers['access-control-request-method'].trim().toUpperCase();
+    if (!rule.methods.includes(method)) {
+      res.statusCode = 405;
+      res.end(`Method ${method} not allowed for origin ${req.headers.origin}`);
+      return null;
+    }
+
+    const allowed = new Set(rule.headers.map(name => name.toLowerCase()));
+    const headers = parseList(req.headers['access-control-request-headers'])
+      .map(name => name.toLowerCase())
+      .filter(name => allowed.has('*') || allowed.has(name));
+
+    return {
+      method,
+      headers,
+      maxAge: options.maxAge,
+      privateNetwork: Boolean(options.allowPrivateNetwork) && req.headers['access-control-request-private-network'] === 'true'
+    };
+  }
+
+  // Narrow a preflight answer to what the upstream's own preflight response
+  // allows. Returns null if the upstream refuses the origin or method.
+  // Private Network Access concerns the proxy's network, so it is left as is.
+  function narrowPreflight(answer, origin, upstream) {
+    const headers = upstream.headers;
+    const allowOrigin = headers['access-control-allow-origin'];
+    if (upstream.statusCode < 200 || upstream.statusCode >= 300 || (allowOrigin !== '*' && allowOrigin !== origin)) {
+      return null;
+    }
+
+    const methods = parseList(headers['access-control-allow-methods']).map(method => method.toUpperCase());
+    if (!methods.includes('*') && !methods.includes(answer.method) && !SAFELISTED_METHODS.includes(answer.method)) {
+      return null;
+    }
+
+    const allowedHeaders = parseList(headers['access-control-allow-headers']).map(name => name.toLowerCase());
+    const maxAge = parseInt(headers['access-control-max-age'], 10);
+    return {
+      ...answer,
+      headers: allowedHeaders.includes('*') ? answer.headers : answer.headers.filter(name => allowedHeaders.includes(name)),
+      maxAge: isNaN(maxAge) ? answer.maxAge : Math.min(answer.maxAge, maxAge)
+    };
+  }
+
+  // Answer a preflight (204) with the result of checkPreflight()
+  function sendPreflight(res, answer) {
+    res.setHeader('Access-Control-Allow-Methods', answer.method);
+    if (answer.headers.length) {
+      res.setHeader('Access-Control-Allow-Headers', answer.headers.join(', '));
+    }
+    if (answer.maxAge > 0) {
+      res.setHeader('Access-Control-Max-Age', String(answer.maxAge));
+    }
+    if (answer.privateNetwork) {
+      res.setHeader('Access-Control-Allow-Private-Network', 'true');
+    }
+    ['Origin', 'Access-Control-Request-Method', 'Access-Control-Request-Headers', 'Access-Control-Request-Private-Network']
+      .forEach(name => appendVary(res, name));
+    res.statusCode = 204;
+    res.end();
+  }
+
+  return {
+    resolve,
+    apply,
+    isPreflight,
+    checkPreflight,
+    narrowPreflight,
+    sendPreflight
+  };
+}
+
+module.exports = {
+  createCorsPolicy,
+  appendVary,
+  exposeHeaders
+};
@@ -0,0 +1,208 @@
+/////////////////////////////////////////////////////////
+// egress.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const { createMatcher } = require('./patterns');
+const { ConfigError } = require('./config-loader');
+
+// The egress proxy could not open a tunnel (reported like any connection error)
+class EgressProxyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EgressProxyError';
+    this.code = 'EEGRESSPROXY';
+  }
+}
+
+// Parse a proxy URL; 'proxy.corp:3128' is read as http://proxy.corp:3128.
+// Returns { url, authorization } or throws.
+function parseProxyUrl(value) {
+  const text = String(value).trim();
+  const url = new URL(text.includes('://') ? text : `http://${text}`);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`${text}: only http:// and https:// proxies are supported`);
+  }
+  const authorization = url.username
+    ? 'Basic ' + Buffer.from(`${decodeURIComponent(url.username)}:${decodeURIComponent(url.password)}`).toString('base64')
+    : null;
+  return { url, authorization };
+}
+
+// NO_PROXY entries: '*', 'example.com' or '.example.com' (the domain and its
+// subdomains), 'host:port', IP addresses and wildcard patterns ('10.*')
+function createNoProxyMatcher(entries) {
+  const rules = entries.map(entry => entry.trim().toLowerCase()).filter(Boolean).map(entry => {
+    if (entry === '*') return () => true;
+    const bracketed = entry.match(/^\[([^\]]+)\](?::(\d+))?$/);
+    const withPort = !bracketed && entry.match(/^([^:]+):(\d+)$/);
+    const host = bracketed ? bracketed[1] : withPort ? withPort[1] : entry;
+    const port = (bracketed ? bracketed[2] : withPort && withPort[2]) || null;
+    const domain = host.replace(/^\./, '');
+    const matchesHost = /[*?]/.test(host)
+      ? createMatcher([host])
+      : hostname => hostname === domain || hostname.endsWith('.' + domain);
+    return (hostname, targetPort) => matchesHost(hostname) && (!port || port === targetPort);
+  });
+  return (hostname, port) => rules.some(rule => rule(hostname, port));
+}
+
+// Build the egress routing from the `egress` section of config.js, falling
+// back to HTTP_PROXY, HTTPS_PROXY and NO_PROXY for settings left empty.
+// route(parsedTarget) returns null for a direct connection, otherwise the
+// proxy to use: { key (host:port), url, authorization }. The same proxy URL
+// always gives the same object.
+// Throws ConfigError for proxy URLs that cannot be used.
+function createEgress(options, env = process.env) {
+  const fromEnv = name => (options.useEnv ? env[name.toLowerCase()] || env[name] : undefined) || null;
+  const problems = [];
+  const proxies = new Map();
+  const proxyFor = (value, where) => {
+    if (!value || value === 'direct') return null;
+    if (!proxies.has(value)) {
+      try {
+        const parsed = parseProxyUrl(value);
+        proxies.set(value, { key: parsed.url.host, ...parsed });
+      } catch (err) {
+        problems.push(`${where}: ${err.message}`);
+        return null;
+      }
+    }
+    return proxies.get(value);
+  };
+
+  const defaults = {
+    'http:': proxyFor(options.httpProxy || fromEnv('HTTP_PROXY'), options.httpProxy ? 'egress.httpProxy' : 'HTTP_PROXY'),
+    'https:': proxyFor(options.httpsProxy || fromEnv('HTTPS_PROXY'), options.httpsProxy ? 'egress.httpsProxy' : 'HTTPS_PROXY')
+  };
+  const noProxy = createNoProxyMatcher(options.noProxy.length ? options.noProxy : String(fromEnv('NO_PROXY') || '').split(','));
+  const routes = Object.keys(options.routes || {}).map(pattern => ({
+    matches: createMatcher([pattern]),
+    proxy: proxyFor(options.routes[pattern], `egress.routes.${pattern}`)
+  }));
+  if (problems.length) {
+    throw new ConfigError(problems);
+  }
+
+  // Routes first, then NO_PROXY, then the proxy for the target's protocol.
+  // ws: and wss: targets go like http: and https:.
+  function route(parsedTarget) {
+    const hostname = parsedTarget.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const rule = routes.find(candidate => candidate.matches(hostname));
+    if (rule) {
+      return rule.proxy;
+    }
+    const secure = parsedTarget.protocol === 'https:' || parsedTarget.protocol === 'wss:';
+    const port = parsedTarget.port || (secure ? '443' : '80');
+    if (noProxy(hostname, port)) {
+      return null;
+    }
+    return defaults[secure ? 'https:' : 'http:'];
+  }
+
+  return {
+    route,
+    connectTimeout: options.connectTimeout
+  };
+}
+
+// Ask the egress proxy for a CONNECT tunnel to host:port; callback(err, socket)
+function connectTunnel(proxy, host, port, timeout, callback) {
+  const protocol = proxy.url.protocol === 'https:' ? https : http;
+  const authority = `${net.isIPv6(host) ? `[${host}]` : host}:${port}`;
+  const headers = { host: authority };
+  if (proxy.authorization) {
+    headers['proxy-authorization'] = proxy.authorization;
+  }
+
+  let done = false;
+  const finish = (err, socket) => {
+    if (done) return;
+    done = true;
+    callback(err, socket);
+  };
+  const connectReq = protocol.request({
+    hostname: proxy.url.hostname,
+    port: proxy.url.port || (proxy.url.protocol === 'https:' ? 443 : 80),
+    method: 'CONNECT',
+    path: authority,
+    headers,
+    agent: false
+  });
+  connectReq.once('connect', (res, socket, head) => {
+    if (res.statusCode !== 200) {
+      socket.destroy();
+      finish(new EgressProxyError(`Egress proxy ${proxy.key} refused CONNECT to ${authority} (${res.statusCode} ${res.statusMessage})`));
+      return;
+    }
+    // Anything the proxy sent past its answer already belongs to the tunnel
+    if (head && head.length) {
+      socket.unshift(head);
+    }
+    finish(null, socket);
+  });
+  connectReq.once('response', res => {
+    res.resume();
+    finish(new EgressProxyError(`Egress proxy ${proxy.key} refused CONNECT to ${authority} (${res.statusCode} ${res.statusMessage})`));
+  });
+  connectReq.once('error', err => finish(err));
+  if (timeout > 0) {
+    connectReq.setTimeout(timeout, () => {
+      const err = new EgressProxyError(`Egress proxy ${proxy.key} did not open a tunnel to ${authority} within ${timeout}ms`);
+      err.code = 'ETIMEDOUT';
+      connectReq.destroy(err);
+    });
+  }
+  connectReq.end();
+}
+
+// https.Agent whose connections are TLS sessions inside CONNECT tunnels
+class HttpsTunnelAgent extends https.Agent {
+  constructor(proxy, connectTimeout, options) {
+    super(options);
+    this.proxy = proxy;
+    this.connectTimeout = connectTimeout;
+  }
+
+  createConnection(options, callback) {
+    connectTunnel(this.proxy, options.host, options.port, this.connectTimeout, (err, socket) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      callback(null, tls.connect({ ...options, socket }));
+    });
+  }
+}
+
+// http.Agent whose connections are CONNECT tunnels, for upgrade requests
+// (WebSockets) that a forwarding proxy would not pass on
+class HttpTunnelAgent extends http.Agent {
+  constructor(proxy, connectTimeout, options) {
+    super(options);
+    this.proxy = proxy;
+    this.connectTimeout = connectTimeout;
+  }
+
+  createConnection(options, callback) {
+    connectTunnel(this.proxy, options.host, options.port, this.connectTimeout, callback);
+  }
+}
+
+module.exports = {
+  createEgress,
+  createNoProxyMatcher,
+  parseProxyUrl,
+  HttpsTunnelAgent,
+  HttpTunnelAgent,
+  EgressProxyError
+};
@@ -0,0 +1,113 @@
+/////////////////////////////////////////////////////////
+// header-rules.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const { createMatcher } = require('./patterns');
+const { ConfigError } = require('./config-loader');
+const { exposeHeaders } = require('./cors-policy');
+
+const ENV_REFERENCE = /\$\{env:([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+// Compile { remove, set, append }, filling in ${env:NAME} references
+function compileOperations(operations, where, env, problems) {
+  const resolve = (path, value) => value.replace(ENV_REFERENCE, (match, variable) => {
+    if (env[variable] === undefined) {
+      problems.push(`${path}: environment variable ${variable} is not set`);
+      return '';
+    }
+    return env[variable];
+  });
+  const entries = key => {
+    const values = (operations && operations[key]) || {};
+    return Object.keys(values).map(name => [name, resolve(`${where}.${key}.${name}`, values[name])]);
+  };
+
+  return {
+    remove: ((operations && operations.remove) || []).map(name => name.toLowerCase()),
+    set: entries('set'),
+    append: entries('append')
+  };
+}
+
+// Build the header rewriting from the `headers` section of config.js.
+// Throws ConfigError if a referenced environment variable is missing.
+function createHeaderRules(options, env = process.env) {
+  const problems = [];
+  const rules = [{
+    matches: () => true,
+    request: compileOperations(options.request, 'headers.request', env, problems),
+    response: compileOperations(options.response, 'headers.response', env, problems),
+    expose: options.expose || []
+  }].concat((options.rules || []).map((rule, index) => ({
+    matches: createMatcher(rule.hosts),
+    request: compileOperations(rule.request, `headers.rules[${index}].request`, env, problems),
+    response: compileOperations(rule.response, `headers.rules[${index}].response`, env, problems),
+    expose: rule.expose || []
+  })));
+  if (problems.length) {
+    throw new ConfigError(problems);
+  }
+
+  function forHost(hostname) {
+    return rules.filter(rule => rule.matches(hostname));
+  }
+
+  // Rewrite the headers object of an upstream request in place
+  function applyRequest(headers, hostname) {
+    forHost(hostname).forEach(({ request }) => {
+      request.remove.forEach(name => {
+        delete headers[name];
+      });
+      request.set.forEach(([name, value]) => {
+        headers[name.toLowerCase()] = value;
+      });
+      request.append.forEach(([name, value]) => {
+        const key = name.toLowerCase();
+        headers[key] = headers[key] ? `${headers[key]}, ${value}` : value;
+      });
+    });
+  }
+
+  // Upstream response headers that must not reach the client
+  function removedResponseHeaders(hostname) {
+    const removed = new Set();
+    forHost(hostname).forEach(({ response }) => response.remove.forEach(name => removed.add(name)));
+    return removed;
+  }
+
+  // Add the configured response headers and expose them to scripts
+  function applyResponse(res, hostname) {
+    forHost(hostname).forEach(({ response, expose }) => {
+      response.set.forEach(([name, value]) => res.setHeader(name, value));
+      response.append.forEach(([name, value]) => {
+        const current = res.getHeader(name);
+        if (current === undefined) {
+          res.setHeader(name, value);
+        } else if (Array.isArray(current)) {
+          res.setHeader(name, current.concat(value));
+        } else {
+          res.setHeader(name, `${current}, ${value}`);
+        }
+      });
+      if (expose.length) {
+        exposeHeaders(res, expose);
+      }
+    });
+  }
+
+  return {
+    applyRequest,
+    removedResponseHeaders,
+    applyResponse
+  };
+}
+
+module.exports = {
+  createHeaderRules
+};
@@ -0,0 +1,123 @@
+/////////////////////////////////////////////////////////
+// limits.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const { Transform } = require('stream');
+const { createMatcher } = require('./patterns');
+
+// A body went over its size limit: 413 for request bodies, 502 for upstream responses
+class SizeLimitError extends Error {
+  constructor(message, statusCode, limit) {
+    super(message);
+    this.name = 'SizeLimitError';
+    this.code = 'ESIZELIMIT';
+    this.statusCode = statusCode;
+    this.limit = limit;
+  }
+}
+
+// Passes a body through until more than `limit` bytes have gone by, then
+// fails with `error` before the chunk that crossed the limit is passed on
+class ByteLimit extends Transform {
+  constructor(limit, error) {
+    super();
+    this.limit = limit;
+    this.error = error;
+    this.bytes = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.bytes += chunk.length;
+    if (this.bytes > this.limit) {
+      callback(this.error);
+      return;
+    }
+    callback(null, chunk);
+  }
+}
+
+// Build the size, content type and method checks from the `limits` section of config.js
+function createLimits(options) {
+  const isAllowedType = createMatcher(options.allowedContentTypes);
+  // Per target host method lists, first matching pattern wins
+  const hostRules = Object.keys(options.hostMethods || {}).map(pattern => ({
+    matches: createMatcher([pattern]),
+    methods: options.hostMethods[pattern].map(method => method.toUpperCase())
+  }));
+
+  // Methods allowed for a target host, null if every method is
+  function allowedMethods(hostname) {
+    const rule = hostRules.find(candidate => candidate.matches(hostname));
+    return rule ? rule.methods : null;
+  }
+
+  // Error for a request body over the limit, going by its Content-Length
+  function checkRequestLength(headers) {
+    const length = parseInt(headers['content-length'], 10);
+    if (options.maxRequestBytes > 0 && length > options.maxRequestBytes) {
+      return requestTooLarge();
+    }
+    return null;
+  }
+
+  function requestTooLarge() {
+    return new SizeLimitError(`Request body exceeds ${options.maxRequestBytes} bytes`, 413, options.maxRequestBytes);
+  }
+
+  function responseTooLarge() {
+    return new SizeLimitError(`Upstream response exceeds ${options.maxResponseBytes} bytes`, 502, options.maxResponseBytes);
+  }
+
+  // Error for an upstream response that must not be relayed, going by its
+  // status and headers: a Content-Length over the limit, or a Content-Type
+  // missing from the allowlist. Responses without a body are always allowed.
+  function checkResponse(statusCode, headers) {
+    const length = parseInt(headers['content-length'], 10);
+    if (options.maxResponseBytes > 0 && length > options.maxResponseBytes) {
+      return responseTooLarge();
+    }
+
+    const hasBody = !(statusCode === 204 || statusCode === 304 || (statusCode >= 300 && statusCode < 400) || length === 0);
+    if (options.allowedContentTypes.length && hasBody) {
+      const type = String(headers['content-type'] || '').split(';')[0].trim();
+      if (!isAllowedType(type)) {
+        const err = new Error(type ? `Upstream content type ${type} is not allowed` : 'Upstream response has no content type');
+        err.code = 'ECONTENTTYPE';
+        err.statusCode = 502;
+        return err;
+      }
+    }
+    return null;
+  }
+
+  // Stream that cuts a request body off at the limit, null without a limit
+  function limitRequest() {
+    return options.maxRequestBytes > 0 ? new ByteLimit(options.maxRequestBytes, requestTooLarge()) : null;
+  }
+
+  // Stream that cuts a response body off at the limit, null without a limit
+  function limitResponse() {
+    return options.maxResponseBytes > 0 ? new ByteLimit(options.maxResponseBytes, responseTooLarge()) : null;
+  }
+
+  return {
+    allowedMethods,
+    checkRequestLength,
+    checkResponse,
+    requestTooLarge,
+    limitRequest,
+    limitResponse
+  };
+}
+
+module.exports = {
+  createLimits,
+  ByteLimit,
+  SizeLimitError
+};
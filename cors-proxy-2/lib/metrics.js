@@ -0,0 +1,258 @@
+/////////////////////////////////////////////////////////
+// metrics.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelString(labelNames, labels) {
+  if (!labelNames.length) return '';
+  return '{' + labelNames.map(name => `${name}="${escapeLabel(labels[name] === undefined ? '' : labels[name])}"`).join(',') + '}';
+}
+
+// Counter or gauge: one value per label combination
+class Metric {
+  constructor(type, name, help, labelNames) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames || [];
+    this.values = new Map();
+  }
+
+  key(labels) {
+    return this.labelNames.map(name => labels[name]).join('\u0000');
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this.key(labels);
+    const current = this.values.get(key);
+    this.values.set(key, { labels, value: (current ? current.value : 0) + value });
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  set(labels = {}, value) {
+    this.values.set(this.key(labels), { labels, value });
+  }
+
+  // Drop all series, e.g. before a gauge is filled again from live state
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    if (!this.values.size && !this.labelNames.length) {
+      lines.push(`${this.name} 0`);
+    }
+    this.values.forEach(({ labels, value }) => {
+      lines.push(`${this.name}${labelString(this.labelNames, labels)} ${value}`);
+    });
+    return lines.join('\n');
+  }
+}
+
+// Cumulative histogram with fixed buckets
+class Histogram {
+  constructor(name, help, labelNames, buckets) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames || [];
+    this.buckets = buckets || DEFAULT_BUCKETS;
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = this.labelNames.map(name => labels[name]).join('\u0000');
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, i) => {
+        const bucketLabels = labelString(this.labelNames.concat('le'), { ...labels, le: bound });
+        lines.push(`${this.name}_bucket${bucketLabels} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${labelString(this.labelNames.concat('le'), { ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${labelString(this.labelNames, labels)} ${sum}`);
+      lines.push(`${this.name}_count${labelString(this.labelNames, labels)} ${count}`);
+    });
+    return lines.join('\n');
+  }
+}
+
+// Holds metrics and renders them in the Prometheus text format
+class Registry {
+  constructor() {
+    this.metrics = [];
+    this.collectors = [];
+  }
+
+  // Run `callback` before every render, to update gauges from live state
+  collect(callback) {
+    this.collectors.push(callback);
+  }
+
+  counter(name, help, labelNames) {
+    return this.add(new Metric('counter', name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.add(new Metric('gauge', name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.add(new Histogram(name, help, labelNames, buckets));
+  }
+
+  add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    this.collectors.forEach(callback => callback());
+    return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+// Build the proxy's metrics from the `metrics` section of config.js
+function createProxyMetrics(options) {
+  const registry = new Registry();
+  const prefix = options.prefix;
+  const knownHosts = new Set();
+
+  const requests = registry.counter(`${prefix}requests_total`, 'Requests answered, by status and target host', ['status', 'host']);
+  const duration = registry.histogram(`${prefix}request_duration_seconds`, 'Time until the response finished', ['host']);
+  const firstByte = registry.histogram(`${prefix}time_to_first_byte_seconds`, 'Time until the first response byte', ['host']);
+  const connections = registry.gauge(`${prefix}active_connections`, 'Open client connections');
+  const bytesIn = registry.counter(`${prefix}bytes_received_total`, 'Request body bytes forwarded upstream', ['host']);
+  const bytesOut = registry.counter(`${prefix}bytes_sent_total`, 'Response body bytes sent to clients', ['host']);
+  const upstreamErrors = registry.counter(`${prefix}upstream_errors_total`, 'Failed upstream requests, by error code', ['host', 'code']);
+  const poolSockets = registry.gauge(`${prefix}upstream_sockets`, 'Pooled HTTP/1.1 upstream connections, by protocol and state', ['protocol', 'state']);
+  const poolSessions = registry.gauge(`${prefix}upstream_http2_sessions`, 'Open HTTP/2 sessions to upstreams');
+  const poolRequests = registry.counter(`${prefix}upstream_requests_total`, 'Upstream requests, by protocol and new or reused connection', ['protocol', 'connection']);
+  const retries = registry.counter(`${prefix}upstream_retries_total`, 'Upstream requests sent again, by reason (error code or status)', ['host', 'reason']);
+  const circuitState = registry.gauge(`${prefix}circuit_breaker_state`, 'Circuit breaker state per upstream host with recent failures: 0 closed, 1 half-open, 2 open', ['host']);
+  const circuitFailures = registry.gauge(`${prefix}circuit_breaker_failures`, 'Consecutive failures counted towards opening the circuit', ['host']);
+  const circuitRejections = registry.counter(`${prefix}circuit_breaker_rejections_total`, 'Requests answered 503 because the circuit was open', ['host']);
+
+  // Cap distinct host labels so random targets cannot blow up the series count
+  function hostLabel(host) {
+    if (!host) return '-';
+    if (knownHosts.has(host)) return host;
+    if (knownHosts.size >= options.maxHostLabels) return 'other';
+    knownHosts.add(host);
+    return host;
+  }
+
+  function targetHost(record) {
+    if (!record || !record.target) return null;
+    try {
+      return new URL(record.target).hostname;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Record a finished request from its access log record
+  function observeRequest(res, record) {
+    const host = hostLabel(targetHost(record));
+    requests.inc({ status: res.statusCode, host });
+    duration.observe({ host }, record.totalMs / 1000);
+    if (record.ttfbMs !== null) {
+      firstByte.observe({ host }, record.ttfbMs / 1000);
+    }
+    bytesIn.inc({ host }, record.bytesIn);
+    bytesOut.inc({ host }, record.bytesOut);
+  }
+
+  function observeUpstreamError(host, code) {
+    upstreamErrors.inc({ host: hostLabel(host), code: code || 'UNKNOWN' });
+  }
+
+  function observeRetry(host, reason) {
+    retries.inc({ host: hostLabel(host), reason: String(reason) });
+  }
+
+  function observeCircuitRejection(host) {
+    circuitRejections.inc({ host: hostLabel(host) });
+  }
+
+  // Report the circuit breaker's tracked hosts on every scrape
+  function watchCircuitBreaker(breaker) {
+    const stateValues = { closed: 0, 'half-open': 1, open: 2 };
+    registry.collect(() => {
+      circuitState.reset();
+      circuitFailures.reset();
+      breaker.states().forEach(({ host, state, failures }) => {
+        const label = hostLabel(host);
+        // Hosts beyond maxHostLabels share 'other', which shows the worst state
+        const current = circuitState.values.get(circuitState.key({ host: label }));
+        circuitState.set({ host: label }, Math.max(stateValues[state], current ? current.value : 0));
+        circuitFailures.inc({ host: label }, failures);
+      });
+    });
+  }
+
+  // Report an upstream pool's statistics on every scrape
+  function watchPool(pool) {
+    registry.collect(() => {
+      const stats = pool.stats();
+      ['http', 'https'].forEach(protocol => {
+        ['active', 'idle', 'queued'].forEach(state => poolSockets.set({ protocol, state }, stats[protocol][state]));
+      });
+      poolSessions.set({}, stats.http2Sessions);
+      ['http1', 'http2'].forEach(protocol => {
+        ['new', 'reused'].forEach(connection => poolRequests.set({ protocol, connection }, stats.requests[protocol][connection]));
+      });
+    });
+  }
+
+  // Count open connections of a listening server
+  function watchServer(server) {
+    server.on('connection', socket => {
+      connections.inc();
+      socket.once('close', () => connections.dec());
+    });
+  }
+
+  return {
+    registry,
+    observeRequest,
+    observeUpstreamError,
+    observeRetry,
+    observeCircuitRejection,
+    watchPool,
+    watchCircuitBreaker,
+    watchServer,
+    render: () => registry.render()
+  };
+}
+
+module.exports = {
+  Registry,
+  createProxyMetrics
+};
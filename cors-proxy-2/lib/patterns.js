@@ -0,0 +1,51 @@
+/////////////////////////////////////////////////////////
+// patterns.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+// Turn a wildcard pattern into a case-insensitive RegExp.
+// '*' matches any run of characters except '/', '?' matches a single one.
+function globToRegExp(pattern) {
+  const source = String(pattern)
+    .split('')
+    .map(char => {
+      if (char === '*') return '[^/]*';
+      if (char === '?') return '[^/]';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp('^' + source + '$', 'i');
+}
+
+// Build a matcher function for a list of exact values and wildcard patterns
+function createMatcher(patterns) {
+  const exact = new Set();
+  const wildcards = [];
+
+  (patterns || []).forEach(pattern => {
+    if (pattern === '*') {
+      wildcards.push(/^.*$/);
+    } else if (/[*?]/.test(pattern)) {
+      wildcards.push(globToRegExp(pattern));
+    } else {
+      exact.add(String(pattern).toLowerCase());
+    }
+  });
+
+  return function matches(value) {
+    if (!value) return false;
+    const normalized = String(value).toLowerCase();
+    return exact.has(normalized) || wildcards.some(regex => regex.test(normalized));
+  };
+}
+
+module.exports = {
+  globToRegExp,
+  createMatcher
+};
@@ -0,0 +1,1436 @@
+/////////////////////////////////////////////////////////
+// proxy.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const http = require('http');
+const url = require('url');
+const { Readable, pipeline } = require('stream');
+const { resolveConfig } = require('./config-loader');
+const { createCorsPolicy, appendVary, exposeHeaders } = require('./cors-policy');
+const { createSsrfGuard, BlockedTargetError } = require('./ssrf-guard');
+const { isRedirect, nextHop, rewriteLocation } = require('./redirects');
+const { createCache } = require('./cache');
+const { createRateLimiter } = require('./rate-limit');
+const { createKeyStore } = require('./api-keys');
+const { createAccessLog } = require('./access-log');
+const { createProxyMetrics } = require('./metrics');
+const { createMatcher } = require('./patterns');
+const { createRewriter } = require('./rewrite');
+const { createHeaderRules } = require('./header-rules');
+const { UpstreamPool, HOP_BY_HOP_HEADERS } = require('./upstream-pool');
+const { createEgress } = require('./egress');
+const { createRetryPolicy } = require('./retry');
+const { CircuitBreaker, CircuitOpenError, FAILURE_STATUSES } = require('./circuit-breaker');
+const { createLimits } = require('./limits');
+const { createCompression } = require('./compression');
+const { createRecorder } = require('./recorder');
+const { parseBatch, createItemRequest, CapturedResponse, failedResult, itemResult, runLimited } = require('./batch');
+
+const HOOKS = ['onRequest', 'onUpstreamResponse', 'onError'];
+
+// Send a JSON body for policy rejections (403, 429, ...)
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+// Copy upstream response headers, keeping our own CORS headers authoritative
+// and leaving out hop-by-hop headers and the `removed` names
+function copyResponseHeaders(proxyRes, res, removed) {
+  Object.keys(proxyRes.headers).forEach(key => {
+    const name = key.toLowerCase();
+    if (name.startsWith('access-control-') || HOP_BY_HOP_HEADERS.includes(name) || (removed && removed.has(name))) return;
+    if (name === 'vary') {
+      String(proxyRes.headers[key]).split(',').forEach(value => appendVary(res, value.trim()));
+      return;
+    }
+    res.setHeader(key, proxyRes.headers[key]);
+  });
+}
+
+// Error for an upstream that took too long, reported as 504
+function timeoutError(message) {
+  const err = new Error(message);
+  err.code = 'ETIMEDOUT';
+  return err;
+}
+
+// A body that is transformed on the way is no longer byte-for-byte the
+// upstream's, so its entity tag can only be weak
+function weakenEtag(res) {
+  const etag = res.getHeader('ETag');
+  if (etag && !String(etag).startsWith('W/')) {
+    res.setHeader('ETag', 'W/' + etag);
+  }
+}
+
+// True once a hook (or anything else) has started answering the request
+function isAnswered(res) {
+  return res.headersSent || res.writableEnded;
+}
+
+// Build the proxy as a plain (req, res) request handler.
+// `options` takes the config.js sections (missing settings use the defaults)
+// plus these optional hooks:
+//   onRequest(req, res, context)                    before auth and rate limiting;
+//                                                   answer the request or return false
+//                                                   (or a promise of it) to stop here
+//   onUpstreamResponse(proxyRes, req, res, context) before the response is forwarded;
+//                                                   may change proxyRes.statusCode/headers
+//   onError(err, req, res, context)                 upstream and pipeline errors;
+//                                                   answer the request to replace the default
+// context = { requestId, target (URL), apiKey }. A custom rate limit store
+// can be passed as `rateLimitStore`.
+// The handler has upgrade(req, socket, head) for the server's 'upgrade' event,
+// close() to stop timers, file watchers and upgraded connections, drain() to
+// report draining on the readiness endpoint, and watchServer(server) for
+// connection metrics.
+function createProxy(options = {}) {
+  const settings = { ...options };
+  const hooks = {};
+  HOOKS.forEach(name => {
+    if (settings[name] !== undefined && typeof settings[name] !== 'function') {
+      throw new TypeError(`${name} must be a function`);
+    }
+    hooks[name] = settings[name];
+    delete settings[name];
+  });
+  const rateLimitStore = settings.rateLimitStore;
+  delete settings.rateLimitStore;
+
+  const config = resolveConfig(settings);
+  const corsPolicy = createCorsPolicy(config.cors);
+  const ssrfGuard = createSsrfGuard(config.security);
+  // Recording needs every exchange to reach the upstream; cache hits and
+  // 304 revalidations would leave it out of the recordings
+  const responseCache = config.cache.enabled && config.recording.mode !== 'record' ? createCache(config.cache) : null;
+  const rateLimiter = config.rateLimit.enabled ? createRateLimiter(config.rateLimit, rateLimitStore) : null;
+  const keyStore = config.auth.enabled ? createKeyStore(config.auth) : null;
+  const accessLog = createAccessLog(config.accessLog);
+  const metrics = config.metrics.enabled ? createProxyMetrics(config.metrics) : null;
+  const isMetricsClient = createMatcher(config.metrics.allowedIps);
+  const forwardsPreflight = createMatcher(config.cors.forwardPreflight);
+  const headerRules = createHeaderRules(config.headers);
+  const limits = createLimits(config.limits);
+  const compression = config.compression.enabled ? createCompression(config.compression) : null;
+  const recorder = config.recording.mode !== 'off' ? createRecorder(config.recording) : null;
+  const upstreamPool = new UpstreamPool(config.upstream, createEgress(config.egress));
+  const retryPolicy = createRetryPolicy(config.retry);
+  const circuitBreaker = config.circuitBreaker.enabled ? new CircuitBreaker(config.circuitBreaker) : null;
+  if (metrics) {
+    metrics.watchPool(upstreamPool);
+    if (circuitBreaker) {
+      metrics.watchCircuitBreaker(circuitBreaker);
+    }
+  }
+  const contexts = new WeakMap();
+  const upgrades = new WeakMap();
+  const tunnels = new Set();
+
+  // Set once drain() is called; /readyz then reports draining
+  let draining = false;
+
+  function contextOf(req) {
+    return contexts.get(req) || { requestId: null, target: null, apiKey: null };
+  }
+
+  // Give the onError hook the first chance to answer, otherwise run `fallback`
+  function reportError(err, req, res, fallback) {
+    if (hooks.onError) {
+      try {
+        hooks.onError(err, req, res, contextOf(req));
+      } catch (hookErr) {
+        console.error('onError hook failed:', hookErr);
+      }
+      if (isAnswered(res)) return;
+    }
+    fallback();
+  }
+
+  // Answer a target the SSRF guard refused (403 JSON) or could not resolve
+  function rejectTarget(req, res, err) {
+    reportError(err, req, res, () => {
+      if (err instanceof BlockedTargetError) {
+        sendJson(res, err.statusCode, {
+          error: 'Forbidden',
+          message: err.message,
+          host: err.host
+        });
+        return;
+      }
+      console.error('Proxy error:', err);
+      res.statusCode = 500;
+      res.end('Error fetching URL: ' + err.message);
+    });
+  }
+
+  // Answer a request to a host whose circuit is open: a stale cache copy if
+  // allowed, otherwise 503 with Retry-After
+  function rejectOpenCircuit(req, res, hop, err) {
+    if (metrics) {
+      metrics.observeCircuitRejection(err.host);
+    }
+    reportError(err, req, res, () => {
+      if (hop && hop.cached && responseCache.canServeStale(hop.cached)) {
+        sendCached(req, res, hop.cached.entry, 'STALE');
+        return;
+      }
+      res.setHeader('Retry-After', String(err.retryAfterSeconds));
+      exposeHeaders(res, ['Retry-After']);
+      sendJson(res, err.statusCode, {
+        error: 'Service Unavailable',
+        message: err.message,
+        host: err.host,
+        retryAfter: err.retryAfterSeconds
+      });
+    });
+  }
+
+  // Ask the circuit breaker whether `host` may be contacted:
+  // { error, done }. `error` is a CircuitOpenError if its circuit is open;
+  // otherwise done(ok) reports the outcome once: true (the upstream answered),
+  // false (it failed) or null (no outcome, e.g. the client went away first).
+  function enterCircuit(host) {
+    const circuit = circuitBreaker ? circuitBreaker.check(host) : { allowed: true, probe: false };
+    if (!circuit.allowed) {
+      return { error: new CircuitOpenError(host, circuit.retryAfterSeconds), done: () => {} };
+    }
+    let reported = !circuitBreaker;
+    const done = ok => {
+      if (reported) return;
+      reported = true;
+      if (ok === true) {
+        circuitBreaker.success(host);
+      } else if (ok === false) {
+        circuitBreaker.failure(host);
+      } else if (circuit.probe) {
+        circuitBreaker.release(host);
+      }
+    };
+    return { error: null, done };
+  }
+
+  // Send the request again after `delay` ms, unless the client leaves first
+  function retryLater(req, res, parsedTarget, hop, reason, delay) {
+    const logRecord = accessLog.get(req);
+    if (logRecord) {
+      logRecord.retries++;
+    }
+    if (metrics) {
+      metrics.observeRetry(parsedTarget.hostname, reason);
+    }
+    const cancel = () => clearTimeout(timer);
+    const timer = setTimeout(() => {
+      res.removeListener('close', cancel);
+      proxyTo(req, res, parsedTarget, { ...hop, retries: hop.retries + 1 });
+    }, delay);
+    res.once('close', cancel);
+  }
+
+  // Answer a request whose body or upstream response broke the limits:
+  // 413 for request bodies, 502 for responses. Once the response has
+  // started, the connection is closed instead.
+  function rejectOverLimit(req, res, err) {
+    if (isAnswered(res)) {
+      if (!res.writableEnded) res.destroy();
+      return;
+    }
+    reportError(err, req, res, () => {
+      if (err.statusCode === 413) {
+        // The rest of the upload is not read
+        res.setHeader('Connection', 'close');
+      }
+      sendJson(res, err.statusCode, {
+        error: err.statusCode === 413 ? 'Payload Too Large' : 'Bad Gateway',
+        message: err.message
+      });
+    });
+  }
+
+  // A hook threw or rejected
+  function hookFailed(req, res, err) {
+    console.error('Proxy hook failed:', err);
+    if (isAnswered(res)) {
+      if (!res.writableEnded) res.destroy();
+      return;
+    }
+    reportError(err, req, res, () => {
+      res.statusCode = 500;
+      res.end('Proxy error: ' + err.message);
+    });
+  }
+
+  // Answer /healthz, /readyz and /metrics. Returns true if the request was handled.
+  function handleInternalRoute(req, res) {
+    const pathname = req.url.split('?')[0];
+
+    if (pathname === config.health.livenessPath) {
+      sendJson(res, 200, { status: 'ok' });
+      return true;
+    }
+    if (pathname === config.health.readinessPath) {
+      sendJson(res, draining ? 503 : 200, { status: draining ? 'draining' : 'ready' });
+      return true;
+    }
+    if (metrics && pathname === config.metrics.path) {
+      if (!isMetricsClient(req.socket.remoteAddress)) {
+        sendJson(res, 403, {
+          error: 'Forbidden',
+          message: 'Metrics are not available from this address'
+        });
+        return true;
+      }
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.end(metrics.render());
+      return true;
+    }
+
+    return false;
+  }
+
+  // Start the access log record (and request metrics) for a proxied request
+  function trackRequest(req, res) {
+    const record = accessLog.begin(req, res);
+    exposeHeaders(res, ['X-Request-Id']);
+
+    if (metrics) {
+      res.on('close', () => metrics.observeRequest(res, record));
+    }
+    // Move keep-alive clients to another instance while draining
+    if (draining) {
+      res.setHeader('Connection', 'close');
+    }
+  }
+
+  // True if the request carries a body to forward upstream
+  function hasRequestBody(req) {
+    return config.proxy.bodyMethods.includes(req.method) && req.headers['content-length'] !== '0';
+  }
+
+  // The request pipeline shared by every listener
+  function handleRequest(req, res) {
+    // Health, readiness and metrics endpoints are never proxy targets
+    if (handleInternalRoute(req, res)) {
+      return;
+    }
+
+    // Assign the request ID and log the request once it is answered
+    trackRequest(req, res);
+
+    // Set CORS headers for the requesting origin (rejects disallowed origins)
+    if (!corsPolicy.apply(req, res)) {
+      return;
+    }
+
+    // Answer preflights here; other OPTIONS requests are proxied
+    if (corsPolicy.isPreflight(req)) {
+      handlePreflight(req, res);
+      return;
+    }
+
+    if (config.batch.enabled && req.url.split('?')[0] === config.batch.path) {
+      handleBatch(req, res);
+      return;
+    }
+
+    const parsedTarget = routeTarget(req, res, 'https:');
+    if (parsedTarget) {
+      startProxy(req, res, parsedTarget);
+    }
+  }
+
+  // POST /batch: run a JSON array of requests through the pipeline, at most
+  // batch.concurrency at a time. Answers one JSON envelope { results } in
+  // request order or, for Accept: application/x-ndjson, one line per result
+  // as soon as it is done.
+  function handleBatch(req, res) {
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      sendJson(res, 405, {
+        error: 'Method Not Allowed',
+        message: 'Send the batch as a POST with a JSON array of requests'
+      });
+      return;
+    }
+
+    readBody(req, (err, body) => {
+      if (err && err.code === 'ESIZELIMIT') {
+        rejectOverLimit(req, res, err);
+        return;
+      }
+      if (err) {
+        res.destroy();
+        return;
+      }
+
+      let items;
+      try {
+        items = parseBatch(body.toString('utf8'), { ...config.batch, bodyMethods: config.proxy.bodyMethods });
+      } catch (parseErr) {
+        sendJson(res, parseErr.statusCode, {
+          error: 'Bad Request',
+          message: parseErr.message
+        });
+        return;
+      }
+
+      const streaming = /application\/x-ndjson/i.test(req.headers.accept || '');
+      const results = [];
+      const running = new Set();
+      let clientGone = false;
+      if (streaming) {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('Cache-Control', 'no-store');
+        res.flushHeaders();
+      }
+
+      const stop = runLimited(items.length, config.batch.concurrency, (index, done) => {
+        let itemRes = null;
+        itemRes = runBatchItem(req, items[index], result => {
+          running.delete(itemRes);
+          if (!clientGone) {
+            if (streaming) {
+              res.write(JSON.stringify(result) + '\n');
+            } else {
+              results[index] = result;
+            }
+          }
+          done();
+        });
+        if (itemRes) running.add(itemRes);
+      }, () => {
+        if (clientGone) return;
+        if (streaming) {
+          res.end();
+        } else {
+          res.setHeader('Cache-Control', 'no-store');
+          sendJson(res, 200, { results });
+        }
+      });
+
+      // Stop fetching for a client that went away
+      res.on('close', () => {
+        if (res.writableFinished) return;
+        clientGone = true;
+        stop();
+        running.forEach(itemRes => itemRes.destroy());
+      });
+    });
+  }
+
+  // Run one batch item through the origin, access and upstream checks of a
+  // single proxied request, answered into a CapturedResponse. `callback` gets
+  // the item's result once. Returns the response while the item is running.
+  function runBatchItem(req, item, callback) {
+    if (item.error) {
+      callback(failedResult(item, 400, item.error));
+      return null;
+    }
+
+    const itemReq = createItemRequest(req, item, ['origin', 'x-forwarded-for', config.auth.header]);
+    // A key sent as query parameter of the batch goes to every item as the key
+    // header, as item requests are built without the batch URL's query
+    if (keyStore && config.auth.queryParam && !itemReq.headers[config.auth.header]) {
+      const key = new URL(req.url, 'http://proxy.local').searchParams.get(config.auth.queryParam);
+      if (key) itemReq.headers[config.auth.header] = key;
+    }
+    const itemRes = new CapturedResponse(config.batch.maxItemBytes);
+    let timedOut = false;
+    const timer = item.timeout > 0 ? setTimeout(() => {
+      timedOut = true;
+      itemRes.destroy();
+    }, item.timeout) : null;
+
+    itemRes.on('close', () => {
+      clearTimeout(timer);
+      if (timedOut) {
+        callback(failedResult(item, 504, `No response within ${item.timeout}ms`));
+      } else if (itemRes.error) {
+        callback(failedResult(item, itemRes.error.statusCode || 502, itemRes.error.message));
+      } else if (!itemRes.writableFinished) {
+        callback(failedResult(item, 502, 'The response ended early'));
+      } else {
+        callback(itemResult(item, itemRes));
+      }
+    });
+
+    trackRequest(itemReq, itemRes);
+    if (corsPolicy.apply(itemReq, itemRes)) {
+      startProxy(itemReq, itemRes, item.url);
+    }
+    return itemRes;
+  }
+
+  // Answer a preflight from the CORS policy, narrowed by the upstream's own
+  // preflight answer for hosts listed in cors.forwardPreflight
+  function handlePreflight(req, res) {
+    const answer = corsPolicy.checkPreflight(req, res);
+    if (!answer) return;
+    if (!config.cors.forwardPreflight.length) {
+      corsPolicy.sendPreflight(res, answer);
+      return;
+    }
+
+    const parsedTarget = routeTarget(req, res, 'https:');
+    if (!parsedTarget) return;
+    // Browsers cannot add the key header to a preflight; without a key the
+    // proxy answers on its own and only the actual request reaches the upstream
+    if (!forwardsPreflight(parsedTarget.hostname) || (keyStore && !keyStore.hasKey(req))) {
+      corsPolicy.sendPreflight(res, answer);
+      return;
+    }
+
+    // The same key check and rate limit as the actual request, before any
+    // upstream connection is opened
+    authorize(req, res, { target: parsedTarget, apiKey: null }, () => {
+      preflightUpstream(req, res, parsedTarget, answer);
+    });
+  }
+
+  // Send the preflight to the upstream and narrow the answer to what it allows
+  function preflightUpstream(req, res, parsedTarget, answer) {
+    vetTarget(parsedTarget, (guardErr, target) => {
+      if (guardErr) {
+        rejectTarget(req, res, guardErr);
+        return;
+      }
+
+      // Only what a browser would send in a preflight of its own
+      const options = requestOptions(req, parsedTarget, target);
+      options.headers = { origin: req.headers.origin, 'access-control-request-method': answer.method };
+      if (req.headers['access-control-request-headers']) {
+        options.headers['access-control-request-headers'] = req.headers['access-control-request-headers'];
+      }
+      if (req.headers['user-agent']) {
+        options.headers['user-agent'] = req.headers['user-agent'];
+      }
+
+      const proxyReq = upstreamPool.request(parsedTarget, options, proxyRes => {
+        proxyRes.resume();
+        const logRecord = accessLog.get(req);
+        if (logRecord) {
+          logRecord.target = parsedTarget.href;
+          logRecord.upstreamStatus = proxyRes.statusCode;
+        }
+        const narrowed = corsPolicy.narrowPreflight(answer, req.headers.origin, proxyRes);
+        if (!narrowed) {
+          sendJson(res, 403, {
+            error: 'Forbidden',
+            message: `${parsedTarget.host} does not allow ${answer.method} from ${req.headers.origin}`
+          });
+          return;
+        }
+        corsPolicy.sendPreflight(res, narrowed);
+      });
+      proxyReq.on('error', err => {
+        if (isAnswered(res)) return;
+        console.error('Preflight error:', err.message);
+        reportError(err, req, res, () => {
+          res.statusCode = err.code === 'ETIMEDOUT' ? 504 : 502;
+          res.end('Preflight to the upstream failed: ' + err.message);
+        });
+      });
+      proxyReq.setTimeout(config.proxy.timeout);
+      proxyReq.on('timeout', () => proxyReq.destroy(timeoutError('Upstream request timed out')));
+      proxyReq.end();
+    });
+  }
+
+  // Upgrade requests (WebSockets) take the same route, origin, auth and
+  // rate limit checks, then get a tunnel to the upstream
+  function handleUpgrade(req, socket, head) {
+    socket.on('error', err => console.error('Client socket error:', err.message));
+
+    const res = upgradeResponse(req, socket);
+    if (!config.websocket.enabled) {
+      sendJson(res, 501, {
+        error: 'Not Implemented',
+        message: 'Upgrade requests are disabled'
+      });
+      return;
+    }
+
+    trackRequest(req, res);
+    if (!corsPolicy.apply(req, res)) {
+      return;
+    }
+
+    const parsedTarget = routeTarget(req, res, 'wss:');
+    if (parsedTarget) {
+      upgrades.set(req, { socket, head });
+      startProxy(req, res, parsedTarget);
+    }
+  }
+
+  // Response object writing to the socket of an upgrade request, so that
+  // rejections are answered and logged like any other response
+  function upgradeResponse(req, socket) {
+    const res = new http.ServerResponse(req);
+    res.shouldKeepAlive = false;
+    res.assignSocket(socket);
+    res.on('finish', () => socket.end());
+    return res;
+  }
+
+  // Find the target URL: /raw?url=URL, /?url=URL (backward compatibility)
+  // or the URL as path (standard CORS Anywhere behavior).
+  // Answers 400 and returns null when there is no valid target.
+  function routeTarget(req, res, defaultProtocol) {
+    const parsedUrl = url.parse(req.url, true);
+    let targetUrl;
+
+    if ((parsedUrl.pathname === '/raw' || parsedUrl.pathname === '/') && parsedUrl.query.url) {
+      targetUrl = parsedUrl.query.url;
+    } else if (parsedUrl.pathname !== '/' && parsedUrl.pathname !== '/raw') {
+      targetUrl = req.url.slice(1); // Remove leading slash
+      // Add protocol if missing
+      if (!targetUrl.includes('://')) {
+        targetUrl = `${defaultProtocol}//${targetUrl}`;
+      }
+    } else {
+      res.statusCode = 400;
+      res.end('Usage: /raw?url=URL or /URL');
+      return null;
+    }
+
+    try {
+      return new URL(targetUrl);
+    } catch (err) {
+      res.statusCode = 400;
+      res.end('Invalid URL: ' + err.message);
+      return null;
+    }
+  }
+
+  // Start proxying a request: run the onRequest hook, which may answer the
+  // request itself or replace context.target, then check access
+  function startProxy(req, res, parsedTarget) {
+    const logRecord = accessLog.get(req);
+    const context = {
+      requestId: logRecord ? logRecord.id : null,
+      target: parsedTarget,
+      apiKey: null
+    };
+    contexts.set(req, context);
+
+    if (!hooks.onRequest) {
+      checkAccess(req, res, context);
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => hooks.onRequest(req, res, context))
+      .then(result => {
+        if (isAnswered(res)) return;
+        if (result === false) {
+          sendJson(res, 403, {
+            error: 'Forbidden',
+            message: 'Request rejected'
+          });
+          return;
+        }
+        if (!(context.target instanceof URL)) {
+          throw new TypeError('onRequest: context.target must be a URL');
+        }
+        checkAccess(req, res, context);
+      })
+      .catch(err => hookFailed(req, res, err));
+  }
+
+  // Check the target's method and size limits, the API key and the rate
+  // limit, then hand the request to the cache/upstream path.
+  // Nothing here opens an upstream connection.
+  function checkAccess(req, res, context) {
+    const parsedTarget = context.target;
+    const logRecord = accessLog.get(req);
+    if (logRecord) {
+      logRecord.target = parsedTarget.href;
+    }
+
+    // Methods the target host does not allow, and bodies that are too large
+    const methods = limits.allowedMethods(parsedTarget.hostname);
+    if (methods && !methods.includes(req.method)) {
+      res.setHeader('Allow', methods.join(', '));
+      sendJson(res, 405, {
+        error: 'Method Not Allowed',
+        message: `${req.method} is not allowed for ${parsedTarget.hostname}`
+      });
+      return;
+    }
+    const tooLarge = limits.checkRequestLength(req.headers);
+    if (tooLarge) {
+      rejectOverLimit(req, res, tooLarge);
+      return;
+    }
+
+    authorize(req, res, context, () => forward(req, res, parsedTarget));
+  }
+
+  // Check the request's API key and count it against the client's rate
+  // limit, then call next(). Rejected requests are answered here.
+  function authorize(req, res, context, next) {
+    if (keyStore) {
+      const auth = keyStore.authenticate(req, context.target.hostname);
+      if (!auth.key) {
+        if (auth.statusCode === 401) {
+          res.setHeader('WWW-Authenticate', `ApiKey header="${config.auth.header}"`);
+        }
+        sendJson(res, auth.statusCode, {
+          error: auth.statusCode === 401 ? 'Unauthorized' : 'Forbidden',
+          message: auth.message
+        });
+        return;
+      }
+      context.apiKey = auth.key;
+    }
+
+    if (!rateLimiter) {
+      next();
+      return;
+    }
+
+    rateLimiter.check(req, context.target.hostname, context.apiKey).then(result => {
+      rateLimiter.setHeaders(res, result);
+      exposeHeaders(res, ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']);
+
+      if (!result.allowed) {
+        sendJson(res, 429, {
+          error: 'Too Many Requests',
+          message: `Rate limit exceeded, retry in ${result.retryAfterSeconds}s`,
+          retryAfter: result.retryAfterSeconds
+        });
+        return;
+      }
+      next();
+    }).catch(err => {
+      // Fail open - a broken counter store must not take the proxy down
+      console.error('Rate limit error:', err);
+      next();
+    });
+  }
+
+  // A redirect to another host takes that host's method rule, the API key's
+  // allowed hosts and the host's rate limit before it is followed, as if the
+  // request had been sent there directly
+  function checkHop(req, res, parsedTarget, next, proceed) {
+    const hostname = next.url.hostname;
+    if (hostname === parsedTarget.hostname) {
+      proceed();
+      return;
+    }
+    const methods = limits.allowedMethods(hostname);
+    if (methods && !methods.includes(next.method)) {
+      sendJson(res, 403, {
+        error: 'Forbidden',
+        message: `Redirect refused: ${next.method} is not allowed for ${hostname}`
+      });
+      return;
+    }
+    authorize(req, res, { target: next.url, apiKey: null }, proceed);
+  }
+
+  // Upgraded connections go straight to the upstream, the rest through
+  // the recordings in replay mode and the cache
+  function forward(req, res, parsedTarget) {
+    const upgrade = upgrades.get(req);
+    if (upgrade) {
+      proxyUpgrade(req, res, parsedTarget, upgrade);
+    } else if (recorder && recorder.replaying) {
+      replay(req, res, parsedTarget);
+    } else {
+      proxyWithCache(req, res, parsedTarget);
+    }
+  }
+
+  // Buffer a request body, refusing it past limits.maxRequestBytes
+  function readBody(req, callback) {
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    const finish = (err, body) => {
+      if (done) return;
+      done = true;
+      callback(err, body);
+    };
+    accessLog.countRequestBody(req);
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (config.limits.maxRequestBytes > 0 && size > config.limits.maxRequestBytes) {
+        finish(limits.requestTooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => finish(null, Buffer.concat(chunks)));
+    req.on('error', finish);
+  }
+
+  // Answer from the recordings. Without a match the request goes to the
+  // network, or is answered 502 with recording.strict.
+  function replay(req, res, parsedTarget) {
+    const lookup = body => {
+      const entry = recorder.lookup(req.method, parsedTarget.href, body);
+      if (entry) {
+        sendRecorded(req, res, entry);
+        return;
+      }
+      if (config.recording.strict) {
+        console.error(`No recording for ${req.method} ${parsedTarget.href}`);
+        sendJson(res, 502, {
+          error: 'Bad Gateway',
+          message: `No recording for ${req.method} ${parsedTarget.href}`
+        });
+        return;
+      }
+      proxyWithCache(req, res, parsedTarget, body);
+    };
+
+    if (!recorder.matchesBody || !hasRequestBody(req)) {
+      lookup(null);
+      return;
+    }
+    readBody(req, (err, body) => {
+      if (err && err.code === 'ESIZELIMIT') {
+        rejectOverLimit(req, res, err);
+      } else if (err) {
+        res.destroy();
+      } else {
+        lookup(body);
+      }
+    });
+  }
+
+  // Answer from a recorded exchange as if it came from the upstream
+  function sendRecorded(req, res, entry) {
+    const recording = recorder.response(entry);
+    const host = new URL(recording.finalUrl).hostname;
+    res.statusCode = recording.statusCode;
+    copyResponseHeaders({ headers: recording.headers }, res, headerRules.removedResponseHeaders(host));
+    headerRules.applyResponse(res, host);
+    res.setHeader('X-Final-Url', recording.finalUrl);
+    res.setHeader('X-Replayed', '1');
+    exposeHeaders(res, ['X-Final-Url', 'X-Replayed']);
+    sendBody(req, res, Readable.from([recording.body]), recording.headers, recording.finalUrl);
+  }
+
+  // Answer from the response cache when it holds a fresh copy,
+  // otherwise connect upstream (revalidating a stale copy if any).
+  // `body` is the request body if it has been read already.
+  function proxyWithCache(req, res, parsedTarget, body) {
+    const hop = {
+      method: req.method,
+      hasBody: hasRequestBody(req),
+      body: body || null,
+      crossOrigin: false,
+      visited: [parsedTarget.href],
+      cacheKey: parsedTarget.href,
+      cached: null,
+      retries: 0
+    };
+
+    if (!responseCache) {
+      proxyTo(req, res, parsedTarget, hop);
+      return;
+    }
+
+    responseCache.lookup(req, hop.cacheKey).then(cached => {
+      if (cached && cached.fresh) {
+        sendCached(req, res, cached.entry, 'HIT');
+        return;
+      }
+      hop.cached = cached;
+      proxyTo(req, res, parsedTarget, hop);
+    }).catch(err => {
+      console.error('Cache error:', err);
+      proxyTo(req, res, parsedTarget, hop);
+    });
+  }
+
+  // Answer from a cache entry, honoring the client's own If-None-Match
+  function sendCached(req, res, entry, cacheStatus) {
+    const etag = entry.headers.etag;
+    const ifNoneMatch = req.headers['if-none-match'];
+    const notModified = Boolean(etag && ifNoneMatch) &&
+      ifNoneMatch.split(',').some(tag => tag.trim() === '*' || tag.trim().replace(/^W\//, '') === etag.replace(/^W\//, ''));
+
+    res.statusCode = notModified ? 304 : entry.statusCode;
+    const host = new URL(entry.finalUrl).hostname;
+    copyResponseHeaders({ headers: entry.headers }, res, headerRules.removedResponseHeaders(host));
+    headerRules.applyResponse(res, host);
+    res.setHeader('Age', String(Math.floor((parseInt(entry.headers.age, 10) || 0) + (Date.now() - entry.storedAt) / 1000)));
+    res.setHeader('X-Cache', cacheStatus);
+    res.setHeader('X-Final-Url', entry.finalUrl);
+    exposeHeaders(res, ['X-Final-Url', 'X-Cache']);
+
+    if (notModified) {
+      res.removeHeader('Content-Length');
+      res.end();
+    } else {
+      sendBody(req, res, Readable.from([entry.body]), entry.headers, entry.finalUrl);
+    }
+  }
+
+  // Stream a response body to the client, through the URL rewriter
+  // for HTML and CSS when rewrite mode is on, and (re)compressed for the
+  // client's Accept-Encoding
+  function sendBody(req, res, source, headers, finalUrl) {
+    const hasBody = res.statusCode !== 204 && res.statusCode !== 304;
+    const rewriter = config.rewrite.enabled && hasBody ? createRewriter(headers, finalUrl, config.rewrite.style) : null;
+    const streams = [];
+
+    if (rewriter) {
+      // The rewritten body is sent decoded and its length is not known up front
+      res.removeHeader('Content-Length');
+      res.removeHeader('Content-Encoding');
+      weakenEtag(res);
+      res.setHeader('X-Rewritten', '1');
+      exposeHeaders(res, ['X-Rewritten']);
+      streams.push(...rewriter);
+    }
+
+    const coding = compression ? compression.negotiate(req, res.statusCode, headers, rewriter ? 'identity' : headers['content-encoding']) : null;
+    if (coding) {
+      appendVary(res, 'Accept-Encoding');
+      if (coding.streams.length) {
+        res.removeHeader('Content-Length');
+        if (coding.encoding === 'identity') {
+          res.removeHeader('Content-Encoding');
+        } else {
+          res.setHeader('Content-Encoding', coding.encoding);
+        }
+        weakenEtag(res);
+        streams.push(...coding.streams);
+      }
+    }
+
+    if (!streams.length) {
+      source.pipe(res);
+      return;
+    }
+    if (req.method === 'HEAD') {
+      source.resume();
+      res.end();
+      return;
+    }
+    pipeline(source, ...streams, res, err => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Response body error:', err.message);
+      }
+    });
+  }
+
+  // Run the SSRF guard on a target. Targets sent through an egress proxy may
+  // only resolve behind the proxy, which also picks the address it connects to.
+  function vetTarget(parsedTarget, callback) {
+    ssrfGuard.check(parsedTarget, callback, { viaProxy: upstreamPool.routesViaProxy(parsedTarget) });
+  }
+
+  // Options for the upstream request of a vetted target.
+  // `target` is the SSRF guard's result, whose lookup pins the checked address
+  // (there is none for targets reached through an egress proxy).
+  function requestOptions(req, parsedTarget, target) {
+    const options = {
+      hostname: parsedTarget.hostname,
+      port: parsedTarget.port || (parsedTarget.protocol === 'https:' ? 443 : 80),
+      path: parsedTarget.pathname + parsedTarget.search + (parsedTarget.hash || ''),
+      method: req.method,
+      headers: { ...req.headers }
+    };
+    if (target.lookup) {
+      options.lookup = target.lookup;
+    }
+
+    // Remove host header to avoid issues
+    delete options.headers.host;
+    // Remove origin and referer to avoid CORS issues on target server
+    delete options.headers.origin;
+    delete options.headers.referer;
+    // Our API key is for the proxy only
+    if (keyStore) {
+      delete options.headers[config.auth.header];
+    }
+    // Let the upstream correlate its logs with ours
+    const logRecord = accessLog.get(req);
+    if (logRecord) {
+      options.headers['x-request-id'] = logRecord.id;
+    }
+
+    return options;
+  }
+
+  // Connect to a vetted target and stream its response back to the client.
+  // `hop` carries the request body (if buffered) and the redirect, cache and retry state:
+  // { method, hasBody, body, crossOrigin, visited, cacheKey, cached, retries }
+  function proxyTo(req, res, parsedTarget, hop) {
+    // Fail fast while the host keeps failing
+    const circuit = enterCircuit(parsedTarget.host);
+    if (circuit.error) {
+      rejectOpenCircuit(req, res, hop, circuit.error);
+      return;
+    }
+
+    // Resolve and vet the target, then pin the checked address for the connection
+    vetTarget(parsedTarget, (guardErr, target) => {
+      if (guardErr) {
+        circuit.done(null);
+        rejectTarget(req, res, guardErr);
+        return;
+      }
+
+      // Only validate against the URL that produced the cached copy
+      const revalidating = Boolean(hop.cached) && hop.cached.entry.finalUrl === parsedTarget.href;
+
+      // Serve a stale cache entry instead of an upstream error if allowed
+      function failWith(err, statusCode, message) {
+        if (res.writableEnded) return;
+        if (res.headersSent) {
+          res.destroy();
+          return;
+        }
+        reportError(err, req, res, () => {
+          if (hop.cached && responseCache.canServeStale(hop.cached)) {
+            sendCached(req, res, hop.cached.entry, 'STALE');
+            return;
+          }
+          res.statusCode = statusCode;
+          res.end(message);
+        });
+      }
+
+      try {
+        const options = requestOptions(req, parsedTarget, target);
+        options.method = hop.method;
+        const logRecord = accessLog.get(req);
+
+        // A redirect that switched to GET carries no body
+        if (hop.method !== req.method) {
+          delete options.headers['content-length'];
+          delete options.headers['content-type'];
+          delete options.headers['transfer-encoding'];
+        }
+        // Never leak credentials to a different origin we were redirected to
+        if (hop.crossOrigin) {
+          delete options.headers.authorization;
+          delete options.headers.cookie;
+        }
+        // Ask the upstream whether our cached copy is still valid
+        if (revalidating) {
+          delete options.headers['if-none-match'];
+          delete options.headers['if-modified-since'];
+          Object.assign(options.headers, responseCache.validators(hop.cached.entry));
+        }
+        // A buffered body is sent in one piece
+        if (hop.hasBody && hop.body) {
+          delete options.headers['transfer-encoding'];
+          options.headers['content-length'] = String(hop.body.length);
+        }
+        // Configured header rules, e.g. upstream credentials for this host
+        headerRules.applyRequest(options.headers, parsedTarget.hostname);
+
+        let responded = false;
+        const proxyReq = upstreamPool.request(parsedTarget, options, (proxyRes) => {
+          // Headers are in; from here on only a stalled stream times out
+          proxyReq.setTimeout(config.proxy.idleTimeout);
+          responded = true;
+
+          const statusCode = proxyRes.statusCode || 200;
+          const location = proxyRes.headers.location;
+          if (logRecord) {
+            logRecord.upstreamStatus = statusCode;
+          }
+          circuit.done(!FAILURE_STATUSES.includes(statusCode));
+
+          // Try again after 502/503/504, waiting at least what Retry-After asks for
+          if (retryPolicy.retryableStatus(statusCode) && retryPolicy.canRetry(hop)) {
+            const delay = retryPolicy.delay(hop.retries, proxyRes.headers['retry-after']);
+            if (delay !== null) {
+              proxyRes.resume();
+              retryLater(req, res, parsedTarget, hop, statusCode, delay);
+              return;
+            }
+          }
+
+          // Follow redirects server-side if enabled
+          if (location && isRedirect(statusCode) && config.redirects.mode === 'follow') {
+            let next;
+            try {
+              next = nextHop(hop, statusCode, location, parsedTarget.href, config.redirects.maxRedirects);
+            } catch (err) {
+              proxyRes.resume();
+              reportError(err, req, res, () => {
+                res.statusCode = err.statusCode || 502;
+                res.end(err.message);
+              });
+              return;
+            }
+            if (next) {
+              proxyRes.resume();
+              checkHop(req, res, parsedTarget, next, () => proxyTo(req, res, next.url, { ...hop, ...next }));
+              return;
+            }
+          }
+
+          // Cached copy confirmed by the upstream
+          if (revalidating && statusCode === 304) {
+            proxyRes.resume();
+            responseCache.refresh(hop.cacheKey, hop.cached.entry, proxyRes.headers)
+              .then(entry => sendCached(req, res, entry, 'HIT'))
+              .catch(err => {
+                console.error('Cache error:', err);
+                sendCached(req, res, hop.cached.entry, 'HIT');
+              });
+            return;
+          }
+
+          // Upstream failing - fall back to the stale copy if allowed
+          if (statusCode >= 500 && hop.cached && responseCache.canServeStale(hop.cached)) {
+            proxyRes.resume();
+            sendCached(req, res, hop.cached.entry, 'STALE');
+            return;
+          }
+
+          // Too large (by Content-Length) or a content type not on the allowlist
+          const refused = limits.checkResponse(statusCode, proxyRes.headers);
+          if (refused) {
+            proxyRes.destroy();
+            rejectOverLimit(req, res, refused);
+            return;
+          }
+
+          // Let the embedding application adjust or take over the response
+          if (hooks.onUpstreamResponse) {
+            try {
+              hooks.onUpstreamResponse(proxyRes, req, res, contextOf(req));
+            } catch (err) {
+              proxyRes.resume();
+              hookFailed(req, res, err);
+              return;
+            }
+            if (isAnswered(res)) {
+              proxyRes.resume();
+              return;
+            }
+          }
+
+          // Forward status code
+          res.statusCode = proxyRes.statusCode || statusCode;
+
+          // Forward headers (but keep our CORS headers), then apply the header rules
+          copyResponseHeaders(proxyRes, res, headerRules.removedResponseHeaders(parsedTarget.hostname));
+          headerRules.applyResponse(res, parsedTarget.hostname);
+
+          // Keep the browser on the proxy when it follows the redirect itself
+          if (location && config.redirects.mode !== 'passthrough') {
+            res.setHeader('Location', rewriteLocation(location, parsedTarget.href, config.redirects.rewriteStyle));
+          }
+          res.setHeader('X-Final-Url', parsedTarget.href);
+          exposeHeaders(res, ['X-Final-Url']);
+
+          if (responseCache) {
+            res.setHeader('X-Cache', 'MISS');
+            exposeHeaders(res, ['X-Cache']);
+            responseCache.capture(req, hop.cacheKey, parsedTarget.href, res.statusCode, proxyRes);
+          }
+
+          // Cut off a streamed response that grows over the limit
+          let body = proxyRes;
+          const limiter = limits.limitResponse();
+          if (limiter) {
+            limiter.on('error', err => {
+              console.error('Proxy error:', err.message);
+              proxyRes.destroy();
+              // Nothing sent yet: drop the upstream's headers (Content-Encoding, ...) before answering
+              if (!res.headersSent) {
+                Object.keys(proxyRes.headers).filter(name => name !== 'vary').forEach(name => res.removeHeader(name));
+              }
+              rejectOverLimit(req, res, err);
+            });
+            body = proxyRes.pipe(limiter);
+          }
+
+          if (recorder && recorder.recording) {
+            recorder.record(req, contextOf(req).target.href, proxyRes, parsedTarget.href, logRecord ? logRecord.startedAt : Date.now());
+          }
+
+          // Stream the data, with its URLs rewritten if enabled
+          sendBody(req, res, body, proxyRes.headers, parsedTarget.href);
+        });
+
+        proxyReq.on('error', (err) => {
+          if (clientGone) {
+            circuit.done(null);
+            return;
+          }
+          // Our own request size limit, not an upstream failure
+          if (err.code === 'ESIZELIMIT') {
+            circuit.done(null);
+            rejectOverLimit(req, res, err);
+            return;
+          }
+          circuit.done(false);
+          console.error('Proxy error:', err);
+          if (metrics) {
+            metrics.observeUpstreamError(parsedTarget.hostname, err.code);
+          }
+          // Nothing reached the client yet, so a connection error can be retried
+          if (!responded && retryPolicy.retryableError(err) && retryPolicy.canRetry(hop)) {
+            retryLater(req, res, parsedTarget, hop, err.code, retryPolicy.delay(hop.retries));
+            return;
+          }
+          if (err.code === 'ETIMEDOUT') {
+            failWith(err, 504, 'Request timeout');
+          } else {
+            failWith(err, 500, 'Error fetching URL: ' + err.message);
+          }
+        });
+
+        // Set timeouts: proxy.timeout until the response headers,
+        // then proxy.idleTimeout between chunks, and proxy.totalTimeout overall
+        proxyReq.setTimeout(config.proxy.timeout);
+        proxyReq.on('timeout', () => proxyReq.destroy(timeoutError('Upstream request timed out')));
+        if (config.proxy.totalTimeout > 0) {
+          const totalTimer = setTimeout(() => {
+            proxyReq.destroy(timeoutError('Upstream exchange exceeded proxy.totalTimeout'));
+          }, config.proxy.totalTimeout);
+          proxyReq.on('close', () => clearTimeout(totalTimer));
+        }
+        // Aborted without a response or error (e.g. the client left)
+        proxyReq.on('close', () => circuit.done(null));
+
+        // Stop streaming from the upstream when the client goes away
+        let clientGone = false;
+        res.on('close', () => {
+          if (res.writableFinished) return;
+          clientGone = true;
+          proxyReq.destroy();
+        });
+
+        if (hop.hasBody && hop.body) {
+          proxyReq.end(hop.body);
+        } else if (hop.hasBody) {
+          accessLog.countRequestBody(req);
+          if (recorder && recorder.recording) {
+            recorder.tapRequest(req);
+          }
+          // Bodies without a Content-Length are counted while streaming
+          const limiter = limits.limitRequest();
+          if (limiter) {
+            limiter.on('error', err => proxyReq.destroy(err));
+            req.pipe(limiter).pipe(proxyReq);
+          } else {
+            req.pipe(proxyReq);
+          }
+        } else {
+          proxyReq.end();
+        }
+
+      } catch (err) {
+        circuit.done(null);
+        res.statusCode = 400;
+        res.end('Invalid request: ' + err.message);
+      }
+    });
+  }
+
+  // Open an upgraded connection to a vetted target and tunnel it to the client.
+  // ws:// and wss:// targets are requested as http:// and https://.
+  function proxyUpgrade(req, res, parsedTarget, client) {
+    const upstreamUrl = new URL(parsedTarget.href);
+    if (upstreamUrl.protocol === 'ws:') upstreamUrl.protocol = 'http:';
+    if (upstreamUrl.protocol === 'wss:') upstreamUrl.protocol = 'https:';
+
+    const circuit = enterCircuit(upstreamUrl.host);
+    if (circuit.error) {
+      rejectOpenCircuit(req, res, null, circuit.error);
+      return;
+    }
+
+    vetTarget(upstreamUrl, (guardErr, target) => {
+      if (guardErr) {
+        circuit.done(null);
+        rejectTarget(req, res, guardErr);
+        return;
+      }
+
+      const logRecord = accessLog.get(req);
+      const options = requestOptions(req, upstreamUrl, target);
+      headerRules.applyRequest(options.headers, upstreamUrl.hostname);
+      const proxyReq = upstreamPool.request(upstreamUrl, options);
+      let upgraded = false;
+
+      // The upstream declined the upgrade - hand its answer to the client
+      proxyReq.on('response', proxyRes => {
+        if (logRecord) {
+          logRecord.upstreamStatus = proxyRes.statusCode;
+        }
+        circuit.done(!FAILURE_STATUSES.includes(proxyRes.statusCode));
+        res.statusCode = proxyRes.statusCode;
+        copyResponseHeaders(proxyRes, res, headerRules.removedResponseHeaders(upstreamUrl.hostname));
+        headerRules.applyResponse(res, upstreamUrl.hostname);
+        proxyRes.pipe(res);
+      });
+
+      proxyReq.on('upgrade', (proxyRes, upstream, upstreamHead) => {
+        if (logRecord) {
+          logRecord.upstreamStatus = proxyRes.statusCode;
+        }
+        circuit.done(true);
+        if (hooks.onUpstreamResponse) {
+          try {
+            hooks.onUpstreamResponse(proxyRes, req, res, contextOf(req));
+          } catch (err) {
+            upstream.destroy();
+            hookFailed(req, res, err);
+            return;
+          }
+          if (isAnswered(res)) {
+            upstream.destroy();
+            return;
+          }
+        }
+        upgraded = true;
+        proxyReq.setTimeout(0);
+
+        // Relay the upstream's handshake response as is
+        const head = [`HTTP/1.1 ${proxyRes.statusCode} ${proxyRes.statusMessage}`];
+        Object.keys(proxyRes.headers).forEach(name => {
+          [].concat(proxyRes.headers[name]).forEach(value => head.push(`${name}: ${value}`));
+        });
+        if (logRecord) {
+          head.push(`x-request-id: ${logRecord.id}`);
+        }
+        res.statusCode = proxyRes.statusCode;
+        client.socket.write(head.join('\r\n') + '\r\n\r\n');
+
+        if (upstreamHead && upstreamHead.length) client.socket.write(upstreamHead);
+        if (client.head && client.head.length) upstream.write(client.head);
+        tunnel(client.socket, upstream, logRecord);
+      });
+
+      proxyReq.on('error', err => {
+        if (upgraded) return;
+        if (client.socket.destroyed) {
+          circuit.done(null);
+          return;
+        }
+        circuit.done(false);
+        console.error('Proxy error:', err);
+        if (metrics) {
+          metrics.observeUpstreamError(upstreamUrl.hostname, err.code);
+        }
+        if (isAnswered(res)) {
+          client.socket.destroy();
+          return;
+        }
+        reportError(err, req, res, () => {
+          res.statusCode = err.code === 'ETIMEDOUT' ? 504 : 500;
+          res.end(err.code === 'ETIMEDOUT' ? 'Request timeout' : 'Error fetching URL: ' + err.message);
+        });
+      });
+
+      proxyReq.setTimeout(config.proxy.timeout);
+      proxyReq.on('timeout', () => proxyReq.destroy(timeoutError('Upstream request timed out')));
+      client.socket.on('close', () => {
+        if (!upgraded) proxyReq.destroy();
+      });
+      proxyReq.on('close', () => circuit.done(null));
+      proxyReq.end();
+    });
+  }
+
+  // Pipe an upgraded connection both ways until either side closes, it has
+  // been idle for websocket.idleTimeout or reaches websocket.maxLifetime
+  function tunnel(socket, upstream, logRecord) {
+    const closeBoth = () => {
+      socket.destroy();
+      upstream.destroy();
+    };
+    tunnels.add(closeBoth);
+
+    if (logRecord) {
+      logRecord.ttfbMs = Date.now() - logRecord.startedAt;
+      socket.on('data', chunk => {
+        logRecord.bytesIn += chunk.length;
+      });
+      upstream.on('data', chunk => {
+        logRecord.bytesOut += chunk.length;
+      });
+    }
+
+    // Traffic in either direction passes both sockets, resetting both timers
+    socket.setTimeout(config.websocket.idleTimeout);
+    upstream.setTimeout(config.websocket.idleTimeout);
+    socket.on('timeout', closeBoth);
+    upstream.on('timeout', closeBoth);
+
+    let lifetimeTimer = null;
+    if (config.websocket.maxLifetime > 0) {
+      lifetimeTimer = setTimeout(closeBoth, config.websocket.maxLifetime);
+    }
+
+    socket.setNoDelay(true);
+    upstream.setNoDelay(true);
+    socket.pipe(upstream);
+    upstream.pipe(socket);
+
+    upstream.on('error', err => console.error('Upstream socket error:', err.message));
+    [socket, upstream].forEach(side => side.on('close', () => {
+      clearTimeout(lifetimeTimer);
+      tunnels.delete(closeBoth);
+      closeBoth();
+    }));
+  }
+
+  // Report draining on the readiness endpoint and ask keep-alive clients to go
+  function drain() {
+    draining = true;
+  }
+
+  // Close all upgraded connections, e.g. before the listeners shut down
+  function closeTunnels() {
+    tunnels.forEach(closeBoth => closeBoth());
+  }
+
+  // Stop file watchers and timers so an embedding process can exit
+  function close() {
+    draining = true;
+    closeTunnels();
+    if (keyStore) keyStore.close();
+    if (rateLimiter) rateLimiter.close();
+    upstreamPool.close();
+    if (recorder) recorder.close();
+    accessLog.close();
+  }
+
+  // Count a listening server's connections in the metrics
+  function watchServer(server) {
+    if (metrics) {
+      metrics.watchServer(server);
+    }
+    return server;
+  }
+
+  const handler = (req, res) => handleRequest(req, res);
+  handler.config = config;
+  handler.metrics = metrics;
+  handler.poolStats = () => upstreamPool.stats();
+  handler.upgrade = handleUpgrade;
+  handler.drain = drain;
+  handler.closeTunnels = closeTunnels;
+  handler.close = close;
+  handler.watchServer = watchServer;
+  return handler;
+}
+
+module.exports = {
+  createProxy
+};
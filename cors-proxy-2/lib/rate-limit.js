@@ -0,0 +1,136 @@
+/////////////////////////////////////////////////////////
+// rate-limit.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const { createMatcher } = require('./patterns');
+
+// Buckets untouched for this long are dropped from memory
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+
+// Token buckets kept in process memory.
+// Any store with the same consume(key, limit) method can replace it,
+// e.g. one backed by Redis when several proxy instances share quotas.
+class MemoryBucketStore {
+  constructor() {
+    this.buckets = new Map();
+    this.sweeper = setInterval(() => this.sweep(), IDLE_BUCKET_MS);
+    this.sweeper.unref();
+  }
+
+  // Take one token from the bucket for `key`.
+  // limit = { capacity, refillPerSecond }
+  // Resolves to { allowed, remaining, resetSeconds, retryAfterSeconds }
+  async consume(key, limit) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: limit.capacity, updatedAt: now };
+
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsed * limit.refillPerSecond);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+    this.buckets.set(key, bucket);
+
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil((limit.capacity - bucket.tokens) / limit.refillPerSecond),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / limit.refillPerSecond)
+    };
+  }
+
+  sweep() {
+    const cutoff = Date.now() - IDLE_BUCKET_MS;
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.updatedAt < cutoff) this.buckets.delete(key);
+    }
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+  }
+}
+
+// Identify the client a request counts against
+function clientAddress(req, trustProxy) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (trustProxy && forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+// Build a rate limiter from the `rateLimit` section of config.js
+function createRateLimiter(options, store) {
+  const buckets = store || new MemoryBucketStore();
+
+  // Per target host limits, first matching pattern wins
+  const hostRules = Object.keys(options.hosts || {}).map(pattern => ({
+    pattern,
+    matches: createMatcher([pattern]),
+    limit: options.hosts[pattern]
+  }));
+
+  function clientKey(req, apiKey) {
+    if (apiKey) {
+      return 'key:' + apiKey.name;
+    }
+    if (options.keyBy === 'origin' && req.headers.origin) {
+      return 'origin:' + req.headers.origin;
+    }
+    if (options.keyBy === 'apiKey' && req.headers[options.apiKeyHeader]) {
+      return 'key:' + req.headers[options.apiKeyHeader];
+    }
+    return 'ip:' + clientAddress(req, options.trustProxy);
+  }
+
+  // Count the request against the client's bucket for the target host.
+  // An authenticated API key is its own client, and its rateLimit (if set)
+  // replaces the configured limit.
+  async function check(req, targetHost, apiKey) {
+    const rule = hostRules.find(candidate => candidate.matches(targetHost));
+    const limit = (apiKey && apiKey.rateLimit) || (rule ? rule.limit : options.default);
+    const key = clientKey(req, apiKey) + '|' + (rule ? rule.pattern : '*');
+
+    const result = await buckets.consume(key, limit);
+    return { ...result, limit };
+  }
+
+  // Standard RateLimit-* headers (IETF draft), plus Retry-After when refused
+  function setHeaders(res, result) {
+    const window = Math.ceil(result.limit.capacity / result.limit.refillPerSecond);
+    res.setHeader('RateLimit-Limit', String(result.limit.capacity));
+    res.setHeader('RateLimit-Remaining', String(result.remaining));
+    res.setHeader('RateLimit-Reset', String(result.resetSeconds));
+    res.setHeader('RateLimit-Policy', `${result.limit.capacity};w=${window}`);
+    if (!result.allowed) {
+      res.setHeader('Retry-After', String(result.retryAfterSeconds));
+    }
+  }
+
+  // Stop the store's timers (stores without close() are left alone)
+  function close() {
+    if (typeof buckets.close === 'function') buckets.close();
+  }
+
+  return {
+    check,
+    setHeaders,
+    close
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  clientAddress,
+  MemoryBucketStore
+};
@@ -0,0 +1,336 @@
+/////////////////////////////////////////////////////////
+// recorder.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { HOP_BY_HOP_HEADERS } = require('./upstream-pool');
+
+// New entries are written to a HAR file this long after the first of them (and on close)
+const WRITE_DELAY_MS = 200;
+
+// Bodies stored as text in the recordings; everything else is base64
+const TEXT_TYPE = /^(text\/|application\/(json|javascript|xml|x-www-form-urlencoded)$|application\/[\w.-]+\+(json|xml)$|image\/svg\+xml$)/i;
+
+const HAR_CREATOR = { name: 'cors-proxy-2', version: '1.0' };
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function bodyHash(body) {
+  return body && body.length ? sha256(body) : '';
+}
+
+function mimeTypeOf(headers) {
+  return String(headers['content-type'] || '').split(';')[0].trim();
+}
+
+// Decode a body so the recording holds readable content; undefined if the
+// encoding is unknown or the body is broken
+function decodeBody(body, contentEncoding) {
+  const encoding = String(contentEncoding || 'identity').trim().toLowerCase();
+  try {
+    if (encoding === 'identity') return body;
+    if (encoding === 'gzip' || encoding === 'x-gzip') return zlib.gunzipSync(body);
+    if (encoding === 'br') return zlib.brotliDecompressSync(body);
+    if (encoding === 'deflate') return zlib.inflateSync(body);
+  } catch (err) {
+    return undefined;
+  }
+  return undefined;
+}
+
+// { text } for textual bodies, { text, encoding: 'base64' } for the rest
+function encodeText(body, mimeType) {
+  const text = body.toString('utf8');
+  if (TEXT_TYPE.test(mimeType) && Buffer.from(text, 'utf8').equals(body)) {
+    return { text };
+  }
+  return { text: body.toString('base64'), encoding: 'base64' };
+}
+
+function decodeText(content) {
+  if (!content || content.text === undefined) return Buffer.alloc(0);
+  const encoding = content.encoding || content._encoding;
+  return Buffer.from(content.text, encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+// Node header object -> HAR [{ name, value }], with `redact` values hidden
+function toHarHeaders(headers, redact) {
+  const list = [];
+  Object.keys(headers).forEach(name => {
+    [].concat(headers[name]).forEach(value => {
+      list.push({ name, value: redact.has(name.toLowerCase()) ? 'REDACTED' : String(value) });
+    });
+  });
+  return list;
+}
+
+// HAR [{ name, value }] -> Node header object (repeated names become lists)
+function fromHarHeaders(list) {
+  const headers = {};
+  (list || []).forEach(({ name, value }) => {
+    const key = name.toLowerCase();
+    if (headers[key] === undefined) {
+      headers[key] = value;
+    } else {
+      headers[key] = [].concat(headers[key], value);
+    }
+  });
+  return headers;
+}
+
+// The HAR file around its entries, split where the entries go:
+// everything up to the first entry, and the closing brackets after the last
+const [HAR_HEAD, HAR_TAIL] = JSON.stringify({ log: { version: '1.2', creator: HAR_CREATOR, entries: ['ENTRIES'] } }, null, 2).split('"ENTRIES"');
+const ENTRY_INDENT = HAR_HEAD.slice(HAR_HEAD.lastIndexOf('\n') + 1);
+
+// Every exchange in one HAR 1.2 file. Entries are kept only until they are
+// written; later ones are written over the closing brackets, so the file
+// stays valid without being rewritten as a whole.
+class HarStore {
+  constructor(file) {
+    this.file = file;
+    this.pending = [];
+    this.timer = null;
+    // Byte offset of the closing brackets, null until the file is started
+    this.end = null;
+  }
+
+  load() {
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    if (!data || !data.log || !Array.isArray(data.log.entries)) {
+      throw new Error(`${this.file}: expected a HAR file with log.entries`);
+    }
+    return data.log.entries;
+  }
+
+  add(entry) {
+    this.pending.push(entry);
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), WRITE_DELAY_MS);
+    }
+  }
+
+  flush() {
+    if (!this.timer) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    let text = this.pending
+      .map(entry => JSON.stringify(entry, null, 2).replace(/\n/g, '\n' + ENTRY_INDENT))
+      .join(',\n' + ENTRY_INDENT);
+    this.pending = [];
+
+    if (this.end === null) {
+      // A new recording session starts a new file. Write to a temporary
+      // file first so a test run never reads half a file.
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file + '.tmp', HAR_HEAD + text + HAR_TAIL);
+      fs.renameSync(this.file + '.tmp', this.file);
+      this.end = Buffer.byteLength(HAR_HEAD + text);
+      return;
+    }
+
+    text = ',\n' + ENTRY_INDENT + text;
+    const fd = fs.openSync(this.file, 'r+');
+    try {
+      fs.writeSync(fd, text + HAR_TAIL, this.end);
+    } finally {
+      fs.closeSync(fd);
+    }
+    this.end += Buffer.byteLength(text);
+  }
+}
+
+// One JSON file per request in a directory, each holding a HAR entry.
+// Files are named after the request, so recording it again replaces the file.
+class FixtureStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  load() {
+    return fs.readdirSync(this.directory)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .map(name => {
+        const file = path.join(this.directory, name);
+        const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!entry || !entry.request || !entry.response) {
+          throw new Error(`${file}: expected a HAR entry with request and response`);
+        }
+        return entry;
+      });
+  }
+
+  add(entry, key) {
+    const host = new URL(entry.request.url).host.replace(/[^a-zA-Z0-9.-]/g, '_');
+    const file = path.join(this.directory, `${entry.request.method}-${host}-${sha256(key).slice(0, 16)}.json`);
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.promises.writeFile(file + '.tmp', JSON.stringify(entry, null, 2))
+      .then(() => fs.promises.rename(file + '.tmp', file))
+      .catch(err => console.error('Recording error:', err.message));
+  }
+
+  flush() {}
+}
+
+// Build the recorder from the `recording` section of config.js.
+// In record mode exchanges are stored as they pass; in replay mode the
+// recordings are loaded once and looked up by method, URL and body hash
+// (whichever `matchBy` lists). Throws if the recordings cannot be read.
+function createRecorder(options) {
+  const store = options.format === 'har' ? new HarStore(options.path) : new FixtureStore(options.path);
+  const matchBy = new Set(options.matchBy);
+  const redact = new Set(options.redactHeaders.map(name => name.toLowerCase()));
+  const requestBodies = new WeakMap();
+  // match key -> HAR entry; a later recording of the same request wins
+  const recordings = new Map();
+
+  function matchKey(method, url, hash) {
+    return JSON.stringify([
+      matchBy.has('method') ? method.toUpperCase() : '',
+      matchBy.has('url') ? url : '',
+      matchBy.has('body') ? hash : ''
+    ]);
+  }
+
+  function entryKey(entry) {
+    const hash = entry._bodyHash !== undefined ? entry._bodyHash : bodyHash(decodeText(entry.request.postData));
+    return matchKey(entry.request.method, entry.request.url, hash);
+  }
+
+  if (options.mode === 'replay') {
+    store.load().forEach(entry => recordings.set(entryKey(entry), entry));
+  }
+
+  // Keep a copy of a request body while it streams upstream
+  function tapRequest(req) {
+    if (requestBodies.has(req)) return;
+    const chunks = [];
+    requestBodies.set(req, chunks);
+    req.on('data', chunk => chunks.push(chunk));
+  }
+
+  // Store an exchange once the upstream response has been read completely.
+  // `url` is the requested target, `finalUrl` the one that answered.
+  function record(req, url, proxyRes, finalUrl, startedAt) {
+    const respondedAt = Date.now();
+    const chunks = [];
+    let complete = true;
+    proxyRes.on('data', chunk => chunks.push(chunk));
+    proxyRes.on('aborted', () => {
+      complete = false;
+    });
+    proxyRes.on('end', () => {
+      if (!complete) return;
+      const requestBody = Buffer.concat(requestBodies.get(req) || []);
+      const received = Buffer.concat(chunks);
+
+      // Store bodies decoded where possible, so the recording is readable
+      const headers = {};
+      Object.keys(proxyRes.headers).filter(name => !HOP_BY_HOP_HEADERS.includes(name)).forEach(name => {
+        headers[name] = proxyRes.headers[name];
+      });
+      let body = decodeBody(received, headers['content-encoding']);
+      if (body === undefined) {
+        body = received;
+      } else {
+        delete headers['content-encoding'];
+        delete headers['content-length'];
+      }
+
+      const hash = bodyHash(requestBody);
+      const entry = {
+        startedDateTime: new Date(startedAt).toISOString(),
+        time: Date.now() - startedAt,
+        request: {
+          method: req.method,
+          url,
+          httpVersion: `HTTP/${req.httpVersion}`,
+          cookies: [],
+          headers: toHarHeaders(req.headers, redact),
+          queryString: Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value })),
+          headersSize: -1,
+          bodySize: requestBody.length
+        },
+        response: {
+          status: proxyRes.statusCode,
+          statusText: proxyRes.statusMessage || http.STATUS_CODES[proxyRes.statusCode] || '',
+          httpVersion: proxyRes.httpVersion ? `HTTP/${proxyRes.httpVersion}` : 'HTTP/2',
+          cookies: [],
+          headers: toHarHeaders(headers, redact),
+          content: { size: body.length, mimeType: mimeTypeOf(headers), ...encodeText(body, mimeTypeOf(headers)) },
+          redirectURL: headers.location || '',
+          headersSize: -1,
+          bodySize: received.length
+        },
+        cache: {},
+        timings: { send: 0, wait: respondedAt - startedAt, receive: Date.now() - respondedAt },
+        _bodyHash: hash,
+        _finalUrl: finalUrl
+      };
+      if (requestBody.length) {
+        const postData = encodeText(requestBody, mimeTypeOf(req.headers));
+        entry.request.postData = { mimeType: mimeTypeOf(req.headers), text: postData.text };
+        if (postData.encoding) entry.request.postData._encoding = postData.encoding;
+      }
+      store.add(entry, matchKey(req.method, url, hash));
+    });
+  }
+
+  // The recording for a request, or null
+  function lookup(method, url, body) {
+    return recordings.get(matchKey(method, url, bodyHash(body))) || null;
+  }
+
+  // A recording as { statusCode, headers, body, finalUrl }.
+  // Redacted headers are left out rather than replayed with a placeholder.
+  function response(entry) {
+    const headers = fromHarHeaders((entry.response.headers || [])
+      .filter(({ name, value }) => !(redact.has(name.toLowerCase()) && value === 'REDACTED')));
+    const body = decodeText(entry.response.content);
+    if (entry.request.method !== 'HEAD') {
+      headers['content-length'] = String(body.length);
+    }
+    return {
+      statusCode: entry.response.status,
+      headers,
+      body,
+      finalUrl: entry._finalUrl || entry.request.url
+    };
+  }
+
+  // Write out what is still pending
+  function close() {
+    if (options.mode === 'record') {
+      store.flush();
+    }
+  }
+
+  return {
+    recording: options.mode === 'record',
+    replaying: options.mode === 'replay',
+    matchesBody: matchBy.has('body'),
+    tapRequest,
+    record,
+    lookup,
+    response,
+    close
+  };
+}
+
+module.exports = {
+  createRecorder,
+  encodeText
+};
@@ -0,0 +1,82 @@
+/////////////////////////////////////////////////////////
+// redirects.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Error raised when a redirect chain cannot be followed to the end
+class RedirectError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedirectError';
+    this.statusCode = 502;
+  }
+}
+
+function isRedirect(statusCode) {
+  return REDIRECT_STATUSES.includes(statusCode);
+}
+
+// Work out the request to send for a redirect, following the fetch spec:
+// 303 turns everything but HEAD into GET, 301/302 turn POST into GET,
+// 307/308 keep method and body.
+// Returns null when the redirect has to be handed to the client instead
+// (a body that was already streamed upstream cannot be replayed).
+function nextHop(hop, statusCode, location, currentUrl, maxRedirects) {
+  const nextUrl = new URL(location, currentUrl);
+
+  if (nextUrl.protocol !== 'http:' && nextUrl.protocol !== 'https:') {
+    throw new RedirectError(`Redirect to unsupported protocol ${nextUrl.protocol}`);
+  }
+  // `visited` starts with the original URL, so it holds one more than the hops so far
+  if (hop.visited.length > maxRedirects) {
+    throw new RedirectError(`Too many redirects (more than ${maxRedirects})`);
+  }
+  if (hop.visited.includes(nextUrl.href)) {
+    throw new RedirectError('Redirect loop detected at ' + nextUrl.href);
+  }
+
+  let method = hop.method;
+  if ((statusCode === 303 && method !== 'HEAD') ||
+      ((statusCode === 301 || statusCode === 302) && method === 'POST')) {
+    method = 'GET';
+  }
+
+  const keepsBody = method === hop.method;
+  if (keepsBody && hop.hasBody) {
+    return null;
+  }
+
+  return {
+    url: nextUrl,
+    method,
+    hasBody: false,
+    crossOrigin: hop.crossOrigin || nextUrl.origin !== new URL(currentUrl).origin,
+    visited: hop.visited.concat(nextUrl.href)
+  };
+}
+
+// Point a Location header back through the proxy, resolved against the
+// URL that answered ('raw' -> /raw?url=..., 'path' -> /<url>)
+function rewriteLocation(location, currentUrl, style) {
+  let absolute;
+  try {
+    absolute = new URL(location, currentUrl).href;
+  } catch (err) {
+    return location;
+  }
+  return style === 'path' ? '/' + absolute : '/raw?url=' + encodeURIComponent(absolute);
+}
+
+module.exports = {
+  RedirectError,
+  isRedirect,
+  nextHop,
+  rewriteLocation
+};
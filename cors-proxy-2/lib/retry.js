@@ -0,0 +1,70 @@
+/////////////////////////////////////////////////////////
+// retry.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+// Connection failures worth another attempt: the upstream refused or reset
+// the connection, often a pooled keep-alive connection it had just closed.
+// Timeouts are not retried - the client has already waited proxy.timeout.
+const RETRYABLE_ERRORS = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE',
+  'EHOSTUNREACH', 'ENETUNREACH', 'ERR_HTTP2_GOAWAY_SESSION'
+];
+
+// Milliseconds a Retry-After header (seconds or HTTP date) asks to wait,
+// null if there is none or it cannot be read
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+  const date = Date.parse(text);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Build the retry policy from the `retry` section of config.js
+function createRetryPolicy(options) {
+  const methods = new Set(options.methods.map(method => method.toUpperCase()));
+
+  // Only idempotent requests without a body are sent again: a forwarded
+  // body has been consumed and cannot be replayed
+  function canRetry(hop) {
+    return options.enabled && hop.retries < options.maxRetries && !hop.hasBody && methods.has(hop.method);
+  }
+
+  function retryableError(err) {
+    return RETRYABLE_ERRORS.includes(err.code);
+  }
+
+  function retryableStatus(statusCode) {
+    return options.statuses.includes(statusCode);
+  }
+
+  // Milliseconds to wait before retry number `retry` (0-based): a random
+  // delay up to baseDelay * 2^retry (capped at maxDelay), but at least what
+  // Retry-After asks for. Returns null if Retry-After exceeds maxRetryAfter,
+  // in which case the upstream's answer goes to the client instead.
+  function delay(retry, retryAfter) {
+    const backoff = Math.random() * Math.min(options.maxDelay, options.baseDelay * Math.pow(2, retry));
+    const requested = parseRetryAfter(retryAfter);
+    if (requested === null) return Math.round(backoff);
+    if (requested > options.maxRetryAfter) return null;
+    return Math.round(Math.max(requested, backoff));
+  }
+
+  return {
+    canRetry,
+    retryableError,
+    retryableStatus,
+    delay
+  };
+}
+
+module.exports = {
+  createRetryPolicy,
+  parseRetryAfter
+};
@@ -0,0 +1,207 @@
+/////////////////////////////////////////////////////////
+// rewrite.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const { Transform } = require('stream');
+const zlib = require('zlib');
+const { rewriteLocation } = require('./redirects');
+
+// A tag or CSS statement longer than this is passed through unrewritten
+// rather than buffered without bound
+const MAX_HELD_BYTES = 64 * 1024;
+
+// Attributes holding a single URL
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'poster'];
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_PATTERN = /(\s)([a-zA-Z-:]+)(\s*=\s*)("[^"]*"|'[^']*'|[^\s"'=<>`]+)/g;
+const CSS_URL_PATTERN = /url\(\s*(["']?)([^"')]*)\1\s*\)/gi;
+const CSS_IMPORT_PATTERN = /@import\s+(["'])([^"']+)\1/gi;
+
+function decodeEntities(value) {
+  return value.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, "'");
+}
+
+function encodeEntities(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Which rewriter a Content-Type needs: 'html', 'css' or null
+function rewriteKind(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (type === 'text/html' || type === 'application/xhtml+xml') return 'html';
+  if (type === 'text/css') return 'css';
+  return null;
+}
+
+// Decompressor for a Content-Encoding, undefined if it is not supported
+function decoderFor(contentEncoding) {
+  const encoding = String(contentEncoding || 'identity').trim().toLowerCase();
+  if (encoding === 'identity') return null;
+  if (encoding === 'gzip' || encoding === 'x-gzip') return zlib.createGunzip();
+  if (encoding === 'br') return zlib.createBrotliDecompress();
+  if (encoding === 'deflate') return zlib.createInflate();
+  return undefined;
+}
+
+// Turns URLs found in pages into proxied URLs, resolved against `base`
+class UrlMapper {
+  constructor(baseUrl, style) {
+    this.base = baseUrl;
+    this.style = style;
+  }
+
+  map(value) {
+    const trimmed = value.trim();
+    if (!trimmed || trimmed.startsWith('#')) return value;
+
+    let absolute;
+    try {
+      absolute = new URL(trimmed, this.base);
+    } catch (err) {
+      return value;
+    }
+    // Leave data:, javascript:, mailto: etc. alone
+    if (absolute.protocol !== 'http:' && absolute.protocol !== 'https:') return value;
+    return rewriteLocation(absolute.href, this.base, this.style);
+  }
+
+  css(text) {
+    return text
+      .replace(CSS_URL_PATTERN, (match, quote, value) => `url(${quote}${this.map(value)}${quote})`)
+      .replace(CSS_IMPORT_PATTERN, (match, quote, value) => `@import ${quote}${this.map(value)}${quote}`);
+  }
+
+  srcset(value) {
+    return value.split(',').map(candidate => {
+      const parts = candidate.trim().split(/\s+/);
+      if (!parts[0]) return candidate;
+      parts[0] = this.map(parts[0]);
+      return parts.join(' ');
+    }).join(', ');
+  }
+}
+
+// Streaming rewriter. Text is handled as latin1 so every byte survives the
+// round trip whatever the page's charset; the patterns only look at ASCII.
+class RewriteStream extends Transform {
+  constructor(kind, baseUrl, style) {
+    super();
+    this.kind = kind;
+    this.mapper = new UrlMapper(baseUrl, style);
+    this.held = '';
+    this.inStyle = false;
+  }
+
+  _transform(chunk, encoding, callback) {
+    const text = this.held + chunk.toString('latin1');
+    const cut = this.safeEnd(text);
+    this.held = text.slice(cut);
+    if (cut > 0) {
+      this.push(Buffer.from(this.rewrite(text.slice(0, cut)), 'latin1'));
+    }
+    if (this.held.length > MAX_HELD_BYTES) {
+      this.push(Buffer.from(this.held, 'latin1'));
+      this.held = '';
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    if (this.held) {
+      this.push(Buffer.from(this.rewrite(this.held), 'latin1'));
+    }
+    callback();
+  }
+
+  // Where the text can be cut without splitting a tag or CSS statement
+  safeEnd(text) {
+    if (this.kind === 'css') {
+      return Math.max(text.lastIndexOf(';'), text.lastIndexOf('}'), text.lastIndexOf('\n')) + 1;
+    }
+    return text.lastIndexOf('>') + 1;
+  }
+
+  rewrite(text) {
+    return this.kind === 'css' ? this.mapper.css(text) : this.html(text);
+  }
+
+  // Rewrite URL attributes in tags, and CSS in <style> blocks and style attributes
+  html(text) {
+    let output = '';
+    let last = 0;
+    TAG_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = TAG_PATTERN.exec(text)) !== null) {
+      output += this.text(text.slice(last, match.index));
+      output += this.tag(match[0], match[1] === '/', match[2], match[3]);
+      last = TAG_PATTERN.lastIndex;
+    }
+    return output + this.text(text.slice(last));
+  }
+
+  text(value) {
+    return this.inStyle ? this.mapper.css(value) : value;
+  }
+
+  tag(source, closing, tagName, attributes) {
+    const name = tagName.toLowerCase();
+    if (name === 'style') {
+      this.inStyle = !closing;
+    }
+    if (closing || !attributes) {
+      return source;
+    }
+
+    const rewritten = attributes.replace(ATTRIBUTE_PATTERN, (match, space, attribute, equals, quoted) => {
+      const lower = attribute.toLowerCase();
+      if (!URL_ATTRIBUTES.includes(lower) && lower !== 'srcset' && lower !== 'style') {
+        return match;
+      }
+      const quote = quoted[0] === '"' || quoted[0] === "'" ? quoted[0] : '';
+      const value = decodeEntities(quote ? quoted.slice(1, -1) : quoted);
+      let result;
+      if (lower === 'srcset') {
+        result = this.mapper.srcset(value);
+      } else if (lower === 'style') {
+        result = this.mapper.css(value);
+      } else {
+        result = this.mapper.map(value);
+      }
+      // A <base href> moves the base for everything after it
+      if (name === 'base' && lower === 'href') {
+        try {
+          this.mapper.base = new URL(value.trim(), this.mapper.base).href;
+        } catch (err) {
+          // Keep the current base
+        }
+      }
+      return `${space}${attribute}${equals}${quote || '"'}${encodeEntities(result)}${quote || '"'}`;
+    });
+    return `<${tagName}${rewritten}>`;
+  }
+}
+
+// The streams a response body goes through to have its URLs rewritten:
+// an optional decompressor and the rewriter. Returns null when the response
+// is not HTML or CSS, or uses an encoding that cannot be decoded.
+function createRewriter(headers, finalUrl, style) {
+  const kind = rewriteKind(headers['content-type']);
+  if (!kind) return null;
+  const decoder = decoderFor(headers['content-encoding']);
+  if (decoder === undefined) return null;
+  return (decoder ? [decoder] : []).concat(new RewriteStream(kind, finalUrl, style));
+}
+
+module.exports = {
+  createRewriter,
+  decoderFor,
+  rewriteKind,
+  RewriteStream
+};
@@ -0,0 +1,213 @@
+/////////////////////////////////////////////////////////
+// ssrf-guard.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const dns = require('dns');
+const net = require('net');
+const { createMatcher } = require('./patterns');
+
+// IPv4 ranges that must never be reached from the outside
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],         // "this" network
+  ['10.0.0.0', 8],        // RFC1918 private
+  ['100.64.0.0', 10],     // carrier-grade NAT
+  ['127.0.0.0', 8],       // loopback
+  ['169.254.0.0', 16],    // link-local, cloud metadata (169.254.169.254)
+  ['172.16.0.0', 12],     // RFC1918 private
+  ['192.0.0.0', 24],      // IETF protocol assignments
+  ['192.168.0.0', 16],    // RFC1918 private
+  ['198.18.0.0', 15],     // benchmarking
+  ['224.0.0.0', 4],       // multicast
+  ['240.0.0.0', 4]        // reserved, broadcast
+];
+
+// IPv6 ranges as [prefix, bits]
+const BLOCKED_IPV6_RANGES = [
+  ['::', 128],            // unspecified
+  ['::1', 128],           // loopback
+  ['64:ff9b::', 96],      // NAT64 (embeds IPv4)
+  ['fc00::', 7],          // unique local (includes fd00:ec2::254 metadata)
+  ['fe80::', 10],         // link-local
+  ['ff00::', 8]           // multicast
+];
+
+// Hostnames that resolve to metadata services inside cloud networks
+const METADATA_HOSTS = [
+  'metadata',
+  'metadata.google.internal',
+  'metadata.azure.internal',
+  'instance-data',
+  'instance-data.ec2.internal'
+];
+
+function ipv4ToInt(address) {
+  return address.split('.').reduce((acc, octet) => (acc * 256) + Number(octet), 0);
+}
+
+function inIpv4Range(address, [base, bits]) {
+  const size = Math.pow(2, 32 - bits);
+  return Math.floor(ipv4ToInt(address) / size) === Math.floor(ipv4ToInt(base) / size);
+}
+
+// Expand an IPv6 address into 8 numeric groups
+function ipv6ToGroups(address) {
+  let ip = address.split('%')[0];
+
+  // Trailing embedded IPv4 (::ffff:1.2.3.4)
+  const ipv4Match = ip.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (ipv4Match) {
+    const value = ipv4ToInt(ipv4Match[1]);
+    const high = Math.floor(value / 65536).toString(16);
+    const low = (value % 65536).toString(16);
+    ip = ip.slice(0, -ipv4Match[1].length) + high + ':' + low;
+  }
+
+  const [head, tail] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  const groups = headGroups
+    .concat(ip.includes('::') ? new Array(missing).fill('0') : [])
+    .concat(tailGroups);
+
+  return groups.map(group => parseInt(group, 16) || 0);
+}
+
+function inIpv6Range(groups, [base, bits]) {
+  const baseGroups = ipv6ToGroups(base);
+  for (let i = 0; i < 8 && bits > 0; i++, bits -= 16) {
+    const mask = bits >= 16 ? 0xffff : (0xffff << (16 - bits)) & 0xffff;
+    if ((groups[i] & mask) !== (baseGroups[i] & mask)) return false;
+  }
+  return true;
+}
+
+// True if the IP address is private, loopback, link-local or otherwise internal
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+
+  if (family === 4) {
+    return BLOCKED_IPV4_RANGES.some(range => inIpv4Range(address, range));
+  }
+
+  if (family === 6) {
+    const groups = ipv6ToGroups(address);
+    // IPv4-mapped (::ffff:a.b.c.d) and IPv4-compatible (::a.b.c.d) addresses
+    const mapped = groups.slice(0, 5).every(group => group === 0) &&
+      (groups[5] === 0xffff || (groups[5] === 0 && groups[6] !== 0));
+    if (mapped) {
+      const v4 = [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+      return isPrivateAddress(v4);
+    }
+    return BLOCKED_IPV6_RANGES.some(range => inIpv6Range(groups, range));
+  }
+
+  // Not an IP at all - refuse rather than guess
+  return true;
+}
+
+// Error raised for targets the guard refuses to connect to
+class BlockedTargetError extends Error {
+  constructor(message, host) {
+    super(message);
+    this.name = 'BlockedTargetError';
+    this.statusCode = 403;
+    this.host = host;
+  }
+}
+
+// Build a guard from the `security` section of config.js.
+// check(parsedUrl, callback) resolves the hostname once and calls back with
+// { address, family, lookup } - pass `lookup` to http.request so the connection
+// goes to the address that was checked (no DNS rebinding between check and connect).
+// check(parsedUrl, callback, { viaProxy: true }) is for targets an egress proxy
+// connects to: the hostname is still resolved here and private answers are
+// refused, but a name that does not resolve locally may exist behind the proxy
+// and is checked by name only (private IP literals and localhost are refused).
+// The callback gets { address: null, family: null, lookup: null }, as the
+// proxy picks the address itself.
+function createSsrfGuard(options) {
+  const isAllowedHost = createMatcher(options.allowedHosts);
+  const isDeniedHost = createMatcher((options.deniedHosts || []).concat(
+    options.blockPrivateAddresses ? METADATA_HOSTS : []
+  ));
+  const hasAllowlist = (options.allowedHosts || []).length > 0;
+  const resolver = options.lookup || dns.lookup;
+
+  function check(parsedUrl, callback, checkOptions = {}) {
+    // URL keeps IPv6 literals in brackets; 'Example.com.' is the same host as
+    // 'example.com' and has to match the same list entries
+    const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '').toLowerCase().replace(/\.$/, '');
+
+    if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+      return callback(new BlockedTargetError(`Protocol ${parsedUrl.protocol} is not allowed`, hostname));
+    }
+    if (isDeniedHost(hostname)) {
+      return callback(new BlockedTargetError(`Host ${hostname} is denied`, hostname));
+    }
+    if (hasAllowlist && !isAllowedHost(hostname)) {
+      return callback(new BlockedTargetError(`Host ${hostname} is not in the allowlist`, hostname));
+    }
+
+    // Names that only exist behind the egress proxy
+    function checkName() {
+      if (options.blockPrivateAddresses) {
+        if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+          return callback(new BlockedTargetError(`Host ${hostname} is a private address`, hostname));
+        }
+        // Names that mean this machine, which would be the proxy's own loopback
+        if (/(^|\.)localhost$/.test(hostname)) {
+          return callback(new BlockedTargetError(`Host ${hostname} is a loopback name`, hostname));
+        }
+      }
+      return callback(null, { address: null, family: null, lookup: null });
+    }
+
+    resolver(hostname, { all: true }, (err, addresses) => {
+      if (err) return checkOptions.viaProxy ? checkName() : callback(err);
+
+      // Refuse if any record is internal, otherwise a second lookup could pick it
+      if (options.blockPrivateAddresses) {
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) {
+          return callback(new BlockedTargetError(
+            `Host ${hostname} resolves to a private address (${blocked.address})`, hostname
+          ));
+        }
+      }
+
+      if (checkOptions.viaProxy) {
+        return callback(null, { address: null, family: null, lookup: null });
+      }
+      const { address, family } = addresses[0];
+      callback(null, {
+        address,
+        family,
+        lookup: (host, lookupOptions, done) => {
+          if (typeof lookupOptions === 'function') done = lookupOptions;
+          if (lookupOptions && lookupOptions.all) {
+            done(null, [{ address, family }]);
+          } else {
+            done(null, address, family);
+          }
+        }
+      });
+    });
+  }
+
+  return {
+    check
+  };
+}
+
+module.exports = {
+  createSsrfGuard,
+  isPrivateAddress,
+  BlockedTargetError
+};
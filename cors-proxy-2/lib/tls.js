@@ -0,0 +1,157 @@
+/////////////////////////////////////////////////////////
+// tls.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const fs = require('fs');
+const tls = require('tls');
+const { createMatcher } = require('./patterns');
+
+// Changed files are loaded this long after the last change, so a key and
+// certificate replaced one after the other are picked up together
+const RELOAD_DELAY_MS = 500;
+
+// Paths of the default certificate: the configured ones, or the first key in
+// the search paths with the .cert next to it. Null if there is none.
+function findCertificate(options) {
+  const key = options.key || options.searchPaths.find(file => fs.existsSync(file));
+  const cert = options.cert || (key ? key.replace(/\.key$/, '.cert') : null);
+  if (!key || !cert || !fs.existsSync(cert)) {
+    return null;
+  }
+  return { key, cert, ca: options.ca, passphrase: options.passphrase };
+}
+
+// Every file a certificate { key, cert, ca } is read from
+function filesOf(spec) {
+  return [spec.key, spec.cert].concat(spec.ca ? [].concat(spec.ca) : []);
+}
+
+// Read a certificate into secure context options, with the CA files appended
+// to the certificate as its chain. Throws if a file cannot be read, the
+// passphrase is wrong or the key does not belong to the certificate.
+function readCertificate(spec, minVersion) {
+  const chain = [fs.readFileSync(spec.cert)];
+  [].concat(spec.ca || []).forEach(file => chain.push(Buffer.from('\n'), fs.readFileSync(file)));
+
+  const options = {
+    key: fs.readFileSync(spec.key),
+    cert: Buffer.concat(chain),
+    minVersion
+  };
+  if (spec.passphrase) {
+    options.passphrase = spec.passphrase;
+  }
+  return { options, context: tls.createSecureContext(options) };
+}
+
+// Build the HTTPS certificates from the `tls` section of config.js.
+// Returns null if no default certificate is found and throws if one cannot
+// be loaded. Later reloads that fail keep the certificates in use.
+function createCertificates(options) {
+  const defaultSpec = findCertificate(options);
+  if (!defaultSpec) {
+    return null;
+  }
+  const sniSpecs = Object.keys(options.sni || {}).map(pattern => ({
+    matches: createMatcher([pattern]),
+    spec: options.sni[pattern]
+  }));
+  const files = Array.from(new Set(sniSpecs.reduce((all, entry) => all.concat(filesOf(entry.spec)), filesOf(defaultSpec))));
+
+  function load() {
+    return {
+      defaults: readCertificate(defaultSpec, options.minVersion).options,
+      sni: sniSpecs.map(entry => ({ matches: entry.matches, context: readCertificate(entry.spec, options.minVersion).context }))
+    };
+  }
+
+  let current = load();
+  let server = null;
+  let timer = null;
+
+  // First matching server name wins; a name without an entry (or a client
+  // without SNI) gets the default certificate
+  function SNICallback(servername, callback) {
+    const entry = current.sni.find(candidate => candidate.matches(servername));
+    callback(null, entry ? entry.context : undefined);
+  }
+
+  // Load the files again for new connections; open connections keep theirs
+  function reload(reason) {
+    clearTimeout(timer);
+    timer = null;
+    try {
+      current = load();
+    } catch (err) {
+      console.error('TLS certificates not reloaded:', err.message);
+      return false;
+    }
+    if (server) {
+      server.setSecureContext(current.defaults);
+    }
+    console.log(`TLS certificates reloaded (${reason})`);
+    return true;
+  }
+
+  const onChange = (now, before) => {
+    if (now.mtimeMs === before.mtimeMs) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => reload('files changed'), RELOAD_DELAY_MS);
+  };
+
+  // Reload the certificates of `httpsServer` when their files change
+  function watch(httpsServer) {
+    server = httpsServer;
+    if (options.reloadInterval > 0) {
+      files.forEach(file => {
+        const watcher = fs.watchFile(file, { interval: options.reloadInterval }, onChange);
+        if (watcher && watcher.unref) watcher.unref();
+      });
+    }
+  }
+
+  function close() {
+    clearTimeout(timer);
+    files.forEach(file => fs.unwatchFile(file, onChange));
+  }
+
+  return {
+    serverOptions: { ...current.defaults, SNICallback },
+    files,
+    watch,
+    reload,
+    close
+  };
+}
+
+// Request handler sending every request to the same URL on HTTPS.
+// 308 keeps the method and body of non-GET requests.
+function createRedirectHandler(httpsPort) {
+  const port = httpsPort === 443 ? '' : `:${httpsPort}`;
+
+  return (req, res) => {
+    // The Host header is client input: only a plain name or address goes into Location
+    const host = String(req.headers.host || '').replace(/:\d+$/, '');
+    if (!/^([a-z0-9-]+(\.[a-z0-9-]+)*|\[[0-9a-f:.]+\])$/i.test(host)) {
+      res.statusCode = 400;
+      res.end('Host header required');
+      return;
+    }
+    const path = req.url.startsWith('/') ? req.url : '/';
+    res.statusCode = 308;
+    res.setHeader('Location', `https://${host}${port}${path}`);
+    res.end();
+  };
+}
+
+module.exports = {
+  createCertificates,
+  createRedirectHandler,
+  findCertificate
+};
@@ -0,0 +1,281 @@
+/////////////////////////////////////////////////////////
+// upstream-pool.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const http = require('http');
+const https = require('https');
+const http2 = require('http2');
+const tls = require('tls');
+const { HttpsTunnelAgent, HttpTunnelAgent, EgressProxyError } = require('./egress');
+
+// Headers that only describe one connection and are never forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'proxy-connection',
+  'te', 'trailer', 'transfer-encoding', 'upgrade'
+];
+
+// Origins whose ALPN answer is remembered; the oldest are forgotten first
+const MAX_REMEMBERED_ORIGINS = 1000;
+
+// Remove hop-by-hop headers, including any the Connection header names
+function stripHopByHop(headers) {
+  const named = String(headers.connection || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  HOP_BY_HOP_HEADERS.concat(named).forEach(name => {
+    delete headers[name];
+  });
+  return headers;
+}
+
+// Upstream connections: keep-alive agents for HTTP/1.1 and one shared
+// session per origin for upstreams that negotiate h2 via ALPN.
+// Built from the `upstream` section of config.js; `egress` (see egress.js)
+// picks the outbound proxy per target, if any.
+class UpstreamPool {
+  constructor(options, egress = null) {
+    this.options = options;
+    this.egress = egress;
+    // egress proxy -> { forward, tunnel, upgradeTunnel } agents
+    this.egressAgents = new Map();
+    this.agentOptions = {
+      keepAlive: options.keepAlive,
+      maxSockets: options.maxSockets,
+      maxFreeSockets: options.maxFreeSockets,
+      timeout: options.idleTimeout,
+      scheduling: 'lifo'
+    };
+    this.agents = {
+      'http:': new http.Agent(this.agentOptions),
+      'https:': new https.Agent(this.agentOptions)
+    };
+    // origin -> 'h2' | 'http/1.1'
+    this.protocols = new Map();
+    // origins with an ALPN handshake in progress
+    this.negotiating = new Set();
+    // origin -> ClientHttp2Session
+    this.sessions = new Map();
+    // sessions that carried a stream already
+    this.usedSessions = new WeakSet();
+    this.counts = { http1: { new: 0, reused: 0 }, http2: { new: 0, reused: 0 } };
+  }
+
+  // True if requests to `parsedTarget` go through an egress proxy
+  routesViaProxy(parsedTarget) {
+    return Boolean(this.egress && this.egress.route(parsedTarget));
+  }
+
+  // Start an upstream request. `options` are http.request options including
+  // the SSRF guard's pinned `lookup`; `callback` gets the response, which has
+  // statusCode and headers whichever protocol is used.
+  // The first request to an https origin goes over HTTP/1.1 while ALPN is
+  // negotiated in the background; later ones use h2 if the upstream offered it.
+  // Upgrade requests always use HTTP/1.1.
+  request(parsedTarget, options, callback) {
+    const upgrade = Boolean(options.headers.upgrade);
+    if (!upgrade) {
+      stripHopByHop(options.headers);
+    }
+
+    const egressProxy = this.egress ? this.egress.route(parsedTarget) : null;
+    if (egressProxy) {
+      return this.requestViaProxy(egressProxy, parsedTarget, options, callback, upgrade);
+    }
+
+    if (this.options.http2 && !upgrade && parsedTarget.protocol === 'https:') {
+      const session = this.session(parsedTarget, options);
+      if (session) {
+        return this.requestHttp2(session, parsedTarget, options, callback);
+      }
+    }
+    return this.requestHttp1(parsedTarget, options, callback);
+  }
+
+  requestHttp1(parsedTarget, options, callback) {
+    const protocol = parsedTarget.protocol === 'https:' ? https : http;
+    const agent = this.options.keepAlive ? this.agents[parsedTarget.protocol] : false;
+    const proxyReq = protocol.request({ ...options, agent }, callback);
+    proxyReq.on('socket', () => {
+      this.counts.http1[proxyReq.reusedSocket ? 'reused' : 'new']++;
+    });
+    return proxyReq;
+  }
+
+  // Request through an egress proxy: https targets and upgrade requests in a
+  // CONNECT tunnel, plain http requests in absolute-URI form. The proxy
+  // resolves the target itself, so there is no pinned lookup (the SSRF guard
+  // checks these targets without pinning, see routesViaProxy).
+  // HTTP/2 is not used through a proxy.
+  requestViaProxy(egressProxy, parsedTarget, options, callback, upgrade) {
+    const agents = this.proxyAgents(egressProxy);
+    const { lookup, ...rest } = options;
+    let proxyReq;
+
+    if (parsedTarget.protocol === 'https:') {
+      proxyReq = https.request({ ...rest, agent: agents.tunnel }, callback);
+    } else if (upgrade) {
+      proxyReq = http.request({ ...rest, agent: agents.upgradeTunnel }, callback);
+    } else {
+      const headers = { ...options.headers, host: parsedTarget.host };
+      if (egressProxy.authorization) {
+        headers['proxy-authorization'] = egressProxy.authorization;
+      }
+      const protocol = egressProxy.url.protocol === 'https:' ? https : http;
+      proxyReq = protocol.request({
+        hostname: egressProxy.url.hostname,
+        port: egressProxy.url.port || (egressProxy.url.protocol === 'https:' ? 443 : 80),
+        path: `${parsedTarget.protocol}//${parsedTarget.host}${options.path}`,
+        method: options.method,
+        headers,
+        agent: agents.forward
+      }, proxyRes => {
+        // The proxy's own authentication is our problem, not the browser's
+        if (proxyRes.statusCode === 407) {
+          proxyRes.resume();
+          proxyReq.destroy(new EgressProxyError(`Egress proxy ${egressProxy.key} refused the credentials (407 Proxy Authentication Required)`));
+          return;
+        }
+        if (callback) callback(proxyRes);
+      });
+    }
+
+    proxyReq.on('socket', () => {
+      this.counts.http1[proxyReq.reusedSocket ? 'reused' : 'new']++;
+    });
+    return proxyReq;
+  }
+
+  proxyAgents(egressProxy) {
+    let agents = this.egressAgents.get(egressProxy);
+    if (!agents) {
+      const Forward = egressProxy.url.protocol === 'https:' ? https.Agent : http.Agent;
+      const connectTimeout = this.egress.connectTimeout;
+      agents = {
+        forward: new Forward(this.agentOptions),
+        tunnel: new HttpsTunnelAgent(egressProxy, connectTimeout, this.agentOptions),
+        upgradeTunnel: new HttpTunnelAgent(egressProxy, connectTimeout, this.agentOptions)
+      };
+      this.egressAgents.set(egressProxy, agents);
+    }
+    return agents;
+  }
+
+  // Stream on an h2 session, shaped like a ClientRequest whose response
+  // (the stream itself) gets statusCode and headers
+  requestHttp2(session, parsedTarget, options, callback) {
+    const headers = { ...options.headers };
+    delete headers.host;
+    const stream = session.request({
+      ...headers,
+      ':method': options.method,
+      ':path': options.path,
+      ':authority': parsedTarget.host,
+      ':scheme': 'https'
+    });
+    this.counts.http2[this.usedSessions.has(session) ? 'reused' : 'new']++;
+    this.usedSessions.add(session);
+
+    stream.on('response', responseHeaders => {
+      stream.statusCode = responseHeaders[':status'];
+      stream.headers = {};
+      Object.keys(responseHeaders).filter(name => !name.startsWith(':')).forEach(name => {
+        stream.headers[name] = responseHeaders[name];
+      });
+      callback(stream);
+    });
+    return stream;
+  }
+
+  // The open h2 session for an origin, or null after starting (or while
+  // running, or after failing) the ALPN negotiation
+  session(parsedTarget, options) {
+    const origin = parsedTarget.origin;
+    const open = this.sessions.get(origin);
+    if (open && !open.closed && !open.destroyed) {
+      return open;
+    }
+    if (this.protocols.get(origin) !== 'http/1.1' && !this.negotiating.has(origin)) {
+      this.negotiate(origin, options);
+    }
+    return null;
+  }
+
+  negotiate(origin, options) {
+    this.negotiating.add(origin);
+    const socket = tls.connect({
+      host: options.hostname,
+      port: options.port,
+      servername: options.hostname,
+      lookup: options.lookup,
+      ALPNProtocols: ['h2', 'http/1.1']
+    });
+    socket.setTimeout(this.options.idleTimeout, () => socket.destroy());
+
+    // Failures are left to the HTTP/1.1 requests to report
+    socket.once('error', () => this.negotiating.delete(origin));
+    socket.once('secureConnect', () => {
+      this.negotiating.delete(origin);
+      socket.setTimeout(0);
+      if (socket.alpnProtocol !== 'h2') {
+        this.remember(origin, 'http/1.1');
+        socket.destroy();
+        return;
+      }
+
+      this.remember(origin, 'h2');
+      const session = http2.connect(origin, { createConnection: () => socket });
+      session.setTimeout(this.options.idleTimeout, () => session.close());
+      session.on('error', err => console.error('HTTP/2 session error:', origin, err.message));
+      const forget = () => {
+        if (this.sessions.get(origin) === session) this.sessions.delete(origin);
+      };
+      session.on('close', forget);
+      session.on('goaway', forget);
+      this.sessions.set(origin, session);
+    });
+  }
+
+  remember(origin, protocol) {
+    if (this.protocols.size >= MAX_REMEMBERED_ORIGINS) {
+      this.protocols.delete(this.protocols.keys().next().value);
+    }
+    this.protocols.set(origin, protocol);
+  }
+
+  // Pool statistics for monitoring
+  stats() {
+    const count = sockets => Object.values(sockets).reduce((total, list) => total + list.length, 0);
+    const agentStats = agent => ({
+      active: count(agent.sockets),
+      idle: count(agent.freeSockets),
+      queued: count(agent.requests)
+    });
+    return {
+      http: agentStats(this.agents['http:']),
+      https: agentStats(this.agents['https:']),
+      http2Sessions: this.sessions.size,
+      requests: {
+        http1: { ...this.counts.http1 },
+        http2: { ...this.counts.http2 }
+      }
+    };
+  }
+
+  // Close pooled sockets and sessions
+  close() {
+    Object.values(this.agents).forEach(agent => agent.destroy());
+    this.egressAgents.forEach(agents => Object.values(agents).forEach(agent => agent.destroy()));
+    this.sessions.forEach(session => session.close());
+    this.sessions.clear();
+  }
+}
+
+module.exports = {
+  UpstreamPool,
+  HOP_BY_HOP_HEADERS,
+  stripHopByHop
+};
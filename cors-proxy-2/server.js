@@ -10,263 +10,159 @@
 
 const http = require('http');
 const https = require('https');
-const fs = require('fs');
-const url = require('url');
+const { loadConfig, redactConfig, ConfigError, USAGE } = require('./lib/config-loader');
+const { createProxy } = require('./lib/proxy');
+const { createCertificates, createRedirectHandler } = require('./lib/tls');
 
-// Create a server
-function createServer() {
-  const server = http.createServer(handleRequest);
-  
-  function handleRequest(req, res) {
-    // Set CORS headers for all responses
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, PATCH, DELETE');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-    
-    // Handle preflight requests
-    if (req.method === 'OPTIONS') {
-      res.statusCode = 200;
-      res.end();
-      return;
-    }
-    
-    const parsedUrl = url.parse(req.url, true);
-    
-    // Handle /raw endpoint
-    if (parsedUrl.pathname === '/raw' && parsedUrl.query.url) {
-      handleRawRequest(req, res, parsedUrl.query.url);
-    } 
-    // Handle root path with url parameter (backward compatibility)
-    else if (parsedUrl.pathname === '/' && parsedUrl.query.url) {
-      handleRawRequest(req, res, parsedUrl.query.url);
-    }
-    // Handle standard CORS Anywhere behavior (path as URL)
-    else if (parsedUrl.pathname !== '/' && parsedUrl.pathname !== '/raw') {
-      handleStandardProxy(req, res);
-    }
-    else {
-      res.statusCode = 400;
-      res.end('Usage: /raw?url=URL or /URL');
-    }
+// Report invalid settings and exit; anything else is rethrown
+function exitOnConfigError(err) {
+  if (!(err instanceof ConfigError)) throw err;
+  console.error(err.message);
+  console.error('\nRun with --help for usage.');
+  process.exit(1);
+}
+
+// Effective settings: config.js defaults < config file < environment < flags.
+// Exits on --help, --print-config or invalid settings.
+function readSettings() {
+  let loaded;
+  try {
+    loaded = loadConfig({ argv: process.argv.slice(2), env: process.env });
+  } catch (err) {
+    exitOnConfigError(err);
   }
-  
-  function handleRawRequest(req, res, targetUrl) {
-    try {
-      const parsedTarget = new URL(targetUrl);
-      
-      const options = {
-        hostname: parsedTarget.hostname,
-        port: parsedTarget.port || (parsedTarget.protocol === 'https:' ? 443 : 80),
-        path: parsedTarget.pathname + parsedTarget.search + (parsedTarget.hash || ''),
-        method: req.method,
-        headers: { ...req.headers }
-      };
-      
-      // Remove host header to avoid issues
-      delete options.headers.host;
-      // Remove origin and referer to avoid CORS issues on target server
-      delete options.headers.origin;
-      delete options.headers.referer;
-      
-      const protocol = parsedTarget.protocol === 'https:' ? https : http;
-      
-      const proxyReq = protocol.request(options, (proxyRes) => {
-        // Forward status code
-        res.statusCode = proxyRes.statusCode || 200;
-        
-        // Forward headers (but set CORS headers)
-        Object.keys(proxyRes.headers).forEach(key => {
-          if (key.toLowerCase() !== 'access-control-allow-origin') {
-            res.setHeader(key, proxyRes.headers[key]);
-          }
-        });
-        
-        // Stream the raw data
-        proxyRes.pipe(res);
-      });
-      
-      proxyReq.on('error', (err) => {
-        console.error('Proxy error:', err);
-        res.statusCode = 500;
-        res.end('Error fetching URL: ' + err.message);
-      });
-      
-      // Set timeout
-      proxyReq.setTimeout(30000, () => {
-        proxyReq.destroy();
-        res.statusCode = 504;
-        res.end('Request timeout');
-      });
-      
-      // Forward request body for POST requests
-      if (['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method) && req.headers['content-length'] !== '0') {
-        req.pipe(proxyReq);
-      } else {
-        proxyReq.end();
-      }
-      
-    } catch (err) {
-      res.statusCode = 400;
-      res.end('Invalid URL: ' + err.message);
-    }
+  if (loaded.help) {
+    console.log(USAGE);
+    process.exit(0);
   }
-  
-  function handleStandardProxy(req, res) {
-    // This handles the standard CORS Anywhere behavior
-    // where the URL is provided as a path
-    const targetUrl = req.url.slice(1); // Remove leading slash
-    
-    if (!targetUrl) {
-      res.statusCode = 400;
-      res.end('Provide a URL as a path: /https://example.com');
-      return;
-    }
-    
-    // Add protocol if missing
-    const fullUrl = targetUrl.includes('://') ? targetUrl : `https://${targetUrl}`;
-    handleRawRequest(req, res, fullUrl);
+  if (loaded.printConfig) {
+    console.log(JSON.stringify(redactConfig(loaded.config), null, 2));
+    process.exit(0);
   }
-  
-  return server;
+  return loaded.config;
 }
 
-// Create and start HTTP server
-const httpServer = createServer();
-const HTTP_PORT = process.env.PORT || 8080;
-httpServer.listen(HTTP_PORT, '0.0.0.0', () => {
-  console.log(`CORS server running on http://0.0.0.0:${HTTP_PORT}`);
-  console.log('Usage:');
-  console.log(`  http://localhost:${HTTP_PORT}/raw?url=URL`);
-  console.log(`  http://localhost:${HTTP_PORT}/URL`);
-});
-
-// Optional: Create HTTPS server if certificates exist
-function createHttpsServer() {
+// Optional: Create HTTPS server if certificates exist.
+// Certificates are reloaded when their files change and on SIGHUP.
+function createHttpsServer(config, proxy) {
+  let certificates;
   try {
-    // Try common certificate paths
-    const certPaths = [
-      '/usr/local/lib/node_modules/cors-anywhere/server.key',
-      './server.key',
-      './certs/server.key'
-    ];
-    
-    const keyPath = certPaths.find(path => fs.existsSync(path));
-    const certPath = keyPath ? keyPath.replace('.key', '.cert') : null;
-    
-    if (keyPath && certPath && fs.existsSync(certPath)) {
-      const serverOptions = {
-        key: fs.readFileSync(keyPath),
-        cert: fs.readFileSync(certPath)
-      };
-
-      const httpsServer = https.createServer(serverOptions, (req, res) => {
-        const parsedUrl = url.parse(req.url, true);
-        
-        // Set CORS headers
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, PATCH, DELETE');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-        
-        // Handle preflight requests
-        if (req.method === 'OPTIONS') {
-          res.statusCode = 200;
-          res.end();
-          return;
-        }
-        
-        // Handle /raw endpoint
-        if (parsedUrl.pathname === '/raw' && parsedUrl.query.url) {
-          handleRawRequest(req, res, parsedUrl.query.url);
-        } 
-        // Handle standard proxy
-        else if (parsedUrl.pathname !== '/' && parsedUrl.pathname !== '/raw') {
-          handleStandardProxy(req, res);
-        }
-        else {
-          res.statusCode = 400;
-          res.end('Usage: /raw?url=URL or /URL');
-        }
-      });
-
-      const HTTPS_PORT = process.env.HTTPS_PORT || 8443;
-      httpsServer.listen(HTTPS_PORT, '0.0.0.0', () => {
-        console.log(`CORS server running on https://0.0.0.0:${HTTPS_PORT}`);
-      });
-      
-      return httpsServer;
-    } else {
-      console.log('HTTPS certificates not found. HTTPS server not started.');
-      return null;
-    }
+    certificates = createCertificates(config.tls);
   } catch (error) {
     console.log('HTTPS not available:', error.message);
     return null;
   }
+  if (!certificates) {
+    console.log('HTTPS certificates not found. HTTPS server not started.');
+    return null;
+  }
+
+  const httpsServer = proxy.watchServer(https.createServer(certificates.serverOptions, proxy));
+  httpsServer.on('upgrade', proxy.upgrade);
+  certificates.watch(httpsServer);
+  httpsServer.on('close', () => certificates.close());
+  process.on('SIGHUP', () => certificates.reload('SIGHUP'));
+
+  const HTTPS_PORT = config.server.httpsPort;
+  httpsServer.listen(HTTPS_PORT, config.server.host, () => {
+    console.log(`CORS server running on https://${config.server.host}:${HTTPS_PORT}`);
+  });
+
+  return httpsServer;
 }
 
-// Reuse the same functions for HTTPS
-function handleRawRequest(req, res, targetUrl) {
+// Optional: plain HTTP listener redirecting every request to HTTPS
+function createRedirectServer(config) {
+  const redirect = config.tls.redirect;
+  const redirectServer = http.createServer(createRedirectHandler(redirect.httpsPort || config.server.httpsPort));
+  redirectServer.listen(redirect.port, config.server.host, () => {
+    console.log(`HTTP to HTTPS redirect running on http://${config.server.host}:${redirect.port}`);
+  });
+  return redirectServer;
+}
+
+// Run the proxy on the configured HTTP (and, with certificates, HTTPS) ports,
+// with an optional HTTP listener redirecting to HTTPS
+function main() {
+  const config = readSettings();
+  let proxy;
   try {
-    const parsedTarget = new URL(targetUrl);
-    
-    const options = {
-      hostname: parsedTarget.hostname,
-      port: parsedTarget.port || (parsedTarget.protocol === 'https:' ? 443 : 80),
-      path: parsedTarget.pathname + parsedTarget.search + (parsedTarget.hash || ''),
-      method: req.method,
-      headers: { ...req.headers }
-    };
-    
-    delete options.headers.host;
-    delete options.headers.origin;
-    delete options.headers.referer;
-    
-    const protocol = parsedTarget.protocol === 'https:' ? https : http;
-    
-    const proxyReq = protocol.request(options, (proxyRes) => {
-      res.statusCode = proxyRes.statusCode || 200;
-      Object.keys(proxyRes.headers).forEach(key => {
-        if (key.toLowerCase() !== 'access-control-allow-origin') {
-          res.setHeader(key, proxyRes.headers[key]);
-        }
-      });
-      proxyRes.pipe(res);
-    });
-    
-    proxyReq.on('error', (err) => {
-      console.error('Proxy error:', err);
-      res.statusCode = 500;
-      res.end('Error fetching URL: ' + err.message);
-    });
-    
-    proxyReq.setTimeout(30000, () => {
-      proxyReq.destroy();
-      res.statusCode = 504;
-      res.end('Request timeout');
-    });
-    
-    if (['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method) && req.headers['content-length'] !== '0') {
-      req.pipe(proxyReq);
+    proxy = createProxy(config);
+  } catch (err) {
+    exitOnConfigError(err);
+  }
+  
+  // Create HTTPS server if certificates are available
+  const httpsServer = createHttpsServer(config, proxy);
+  let redirectServer = null;
+  if (config.tls.redirect.enabled) {
+    if (httpsServer) {
+      redirectServer = createRedirectServer(config);
     } else {
-      proxyReq.end();
+      console.log('HTTPS server not running. HTTP to HTTPS redirect not started.');
     }
+  }
+  
+  // Create and start HTTP server, unless the redirect took its port
+  let httpServer = null;
+  const HTTP_PORT = config.server.port;
+  if (!redirectServer || config.tls.redirect.port !== HTTP_PORT) {
+    httpServer = proxy.watchServer(http.createServer(proxy));
+    httpServer.on('upgrade', proxy.upgrade);
+    httpServer.listen(HTTP_PORT, config.server.host, () => {
+      console.log(`CORS server running on http://${config.server.host}:${HTTP_PORT}`);
+      console.log('Usage:');
+      console.log(`  http://localhost:${HTTP_PORT}/raw?url=URL`);
+      console.log(`  http://localhost:${HTTP_PORT}/URL`);
+    });
+  }
+  
+  // Graceful shutdown: report draining on /readyz so the load balancer stops
+  // sending traffic, then stop accepting connections and let open requests finish
+  let stopping = false;
+  function shutdown(signal) {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
+    proxy.drain();
+    console.log(`${signal} received, draining for ${config.shutdown.drainDelay}ms`);
     
-  } catch (err) {
-    res.statusCode = 400;
-    res.end('Invalid URL: ' + err.message);
+    setTimeout(() => {
+      // Upgraded connections would hold the listeners open until they end
+      proxy.closeTunnels();
+      const servers = [httpServer, httpsServer, redirectServer].filter(Boolean);
+      let open = servers.length;
+      servers.forEach(server => {
+        server.close(() => {
+          open--;
+          if (open === 0) {
+            console.log('All connections closed, exiting');
+            proxy.close();
+            process.exit(0);
+          }
+        });
+        // Node 18.2+: drop idle keep-alive sockets right away
+        if (server.closeIdleConnections) {
+          server.closeIdleConnections();
+        }
+      });
+      
+      setTimeout(() => {
+        console.log('Shutdown timeout reached, exiting');
+        process.exit(0);
+      }, config.shutdown.timeout).unref();
+    }, config.shutdown.drainDelay);
   }
+  
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
 }
 
-function handleStandardProxy(req, res) {
-  const targetUrl = req.url.slice(1);
-  if (!targetUrl) {
-    res.statusCode = 400;
-    res.end('Provide a URL as a path: /https://example.com');
-    return;
-  }
-  const fullUrl = targetUrl.includes('://') ? targetUrl : `https://${targetUrl}`;
-  handleRawRequest(req, res, fullUrl);
+if (require.main === module) {
+  main();
 }
 
-// Create HTTPS server if certificates are available
-createHttpsServer();
+module.exports = {
+  createProxy
+};
@@ -0,0 +1,74 @@
+/////////////////////////////////////////////////////////
+// batch.test.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+// Run with: node --test test/
+
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createProxy } = require('../lib/proxy');
+
+const KEY = 'batch-test-key-000001';
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+test('a key in the batch URL applies to every item', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-'));
+  const keysFile = path.join(dir, 'keys.json');
+  fs.writeFileSync(keysFile, JSON.stringify({ keys: [{ key: KEY }] }));
+  const seen = [];
+  const upstream = http.createServer((req, res) => {
+    seen.push(req.headers['x-api-key']);
+    res.setHeader('content-type', 'text/plain');
+    res.end('ok');
+  });
+  const upstreamPort = await listen(upstream);
+  const proxy = createProxy({
+    auth: { enabled: true, keysFile },
+    security: { blockPrivateAddresses: false },
+    cache: { enabled: false },
+    rateLimit: { enabled: false },
+    accessLog: { enabled: false }
+  });
+  const server = http.createServer(proxy);
+  const port = await listen(server);
+  const batch = query => fetch(`http://127.0.0.1:${port}/batch${query}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify([
+      { url: `http://127.0.0.1:${upstreamPort}/a` },
+      { url: `http://127.0.0.1:${upstreamPort}/b` }
+    ])
+  }).then(res => res.json());
+
+  try {
+    const withKey = await batch(`?api_key=${KEY}`);
+    assert.deepStrictEqual(withKey.results.map(result => result.status), [200, 200]);
+    // The key is not passed on to the upstream
+    assert.deepStrictEqual(seen, [undefined, undefined]);
+
+    const withoutKey = await batch('');
+    assert.deepStrictEqual(withoutKey.results.map(result => result.status), [401, 401]);
+  } finally {
+    proxy.close();
+    await close(server);
+    await close(upstream);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,149 @@
+/////////////////////////////////////////////////////////
+// egress.test.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+// Run with: node --test test/
+
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const http = require('http');
+const { createProxy } = require('../lib/proxy');
+const { createSsrfGuard } = require('../lib/ssrf-guard');
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+// Forwarding proxy that answers every request itself with the URL it was asked for
+async function startEgressProxy() {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push(req.url);
+    res.setHeader('content-type', 'text/plain');
+    res.end(`via proxy ${req.url}`);
+  });
+  const port = await listen(server);
+  return { server, seen, url: `http://127.0.0.1:${port}` };
+}
+
+async function startCorsProxy(egress) {
+  const proxy = createProxy({
+    egress: { useEnv: false, ...egress },
+    cache: { enabled: false },
+    rateLimit: { enabled: false },
+    accessLog: { enabled: false }
+  });
+  const server = http.createServer(proxy);
+  const port = await listen(server);
+  return { proxy, server, base: `http://127.0.0.1:${port}` };
+}
+
+test('targets that only resolve behind the egress proxy are reached through it', async () => {
+  const egressProxy = await startEgressProxy();
+  const cors = await startCorsProxy({ httpProxy: egressProxy.url });
+  try {
+    const res = await fetch(`${cors.base}/raw?url=${encodeURIComponent('http://only-behind-proxy.invalid/data')}`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(await res.text(), 'via proxy http://only-behind-proxy.invalid/data');
+  } finally {
+    cors.proxy.close();
+    await close(cors.server);
+    await close(egressProxy.server);
+  }
+});
+
+test('private IP literals are refused before reaching the egress proxy', async () => {
+  const egressProxy = await startEgressProxy();
+  const cors = await startCorsProxy({ httpProxy: egressProxy.url });
+  try {
+    for (const target of ['http://10.0.0.1/', 'http://169.254.169.254/latest', 'http://localhost/']) {
+      const res = await fetch(`${cors.base}/raw?url=${encodeURIComponent(target)}`);
+      await res.text();
+      assert.strictEqual(res.status, 403, target);
+    }
+    assert.deepStrictEqual(egressProxy.seen, []);
+  } finally {
+    cors.proxy.close();
+    await close(cors.server);
+    await close(egressProxy.server);
+  }
+});
+
+test('NO_PROXY targets are still resolved and checked locally', async () => {
+  const egressProxy = await startEgressProxy();
+  const cors = await startCorsProxy({ httpProxy: egressProxy.url, noProxy: ['direct.invalid'] });
+  try {
+    const res = await fetch(`${cors.base}/raw?url=${encodeURIComponent('http://direct.invalid/')}`);
+    await res.text();
+    assert.notStrictEqual(res.status, 200);
+    assert.deepStrictEqual(egressProxy.seen, []);
+  } finally {
+    cors.proxy.close();
+    await close(cors.server);
+    await close(egressProxy.server);
+  }
+});
+
+test('names that resolve to a private address are refused before reaching the egress proxy', async t => {
+  // internal.example.com resolves to an internal address on this machine
+  const lookup = dns.lookup;
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    if (hostname === 'internal.example.com') {
+      callback(null, [{ address: '10.1.2.3', family: 4 }]);
+      return;
+    }
+    lookup(hostname, options, callback);
+  });
+  const egressProxy = await startEgressProxy();
+  const cors = await startCorsProxy({ httpProxy: egressProxy.url });
+  try {
+    const res = await fetch(`${cors.base}/raw?url=${encodeURIComponent('http://internal.example.com/')}`);
+    const body = await res.json();
+    assert.strictEqual(res.status, 403);
+    assert.match(body.message, /private address \(10\.1\.2\.3\)/);
+    assert.deepStrictEqual(egressProxy.seen, []);
+  } finally {
+    cors.proxy.close();
+    await close(cors.server);
+    await close(egressProxy.server);
+  }
+});
+
+test('the guard checks proxied names that do not resolve by name only', async () => {
+  const guard = createSsrfGuard({
+    allowedHosts: [],
+    deniedHosts: [],
+    blockPrivateAddresses: true,
+    lookup: (hostname, options, callback) => {
+      if (hostname === 'public.example.com') {
+        callback(null, [{ address: '93.184.216.34', family: 4 }]);
+      } else {
+        callback(Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' }));
+      }
+    }
+  });
+  const check = (url, options) => new Promise(resolve => guard.check(new URL(url), (err, target) => resolve({ err, target }), options));
+
+  const behindProxy = await check('http://only-behind-proxy.example.com/', { viaProxy: true });
+  assert.strictEqual(behindProxy.err, null);
+  assert.strictEqual(behindProxy.target.lookup, null);
+
+  // Resolved names are not pinned, the egress proxy connects
+  const resolved = await check('http://public.example.com/', { viaProxy: true });
+  assert.strictEqual(resolved.err, null);
+  assert.strictEqual(resolved.target.lookup, null);
+
+  const direct = await check('http://only-behind-proxy.example.com/');
+  assert.strictEqual(direct.err.code, 'ENOTFOUND');
+});
@@ -0,0 +1,114 @@
+/////////////////////////////////////////////////////////
+// preflight.test.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+// Run with: node --test test/
+
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createProxy } = require('../lib/proxy');
+
+const KEY = 'preflight-test-key-0001';
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+// Upstream that allows every preflight and counts the ones it sees
+async function startUpstream() {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push(req.method);
+    res.setHeader('access-control-allow-origin', '*');
+    res.setHeader('access-control-allow-methods', 'GET, POST, PUT');
+    res.statusCode = 204;
+    res.end();
+  });
+  const port = await listen(server);
+  return { server, seen, url: `http://127.0.0.1:${port}/data` };
+}
+
+async function startCorsProxy(settings) {
+  const proxy = createProxy({
+    cors: { forwardPreflight: ['*'] },
+    security: { blockPrivateAddresses: false },
+    cache: { enabled: false },
+    accessLog: { enabled: false },
+    ...settings
+  });
+  const server = http.createServer(proxy);
+  const port = await listen(server);
+  return { proxy, server, base: `http://127.0.0.1:${port}` };
+}
+
+function preflight(base, target, query = '') {
+  return fetch(`${base}/raw?url=${encodeURIComponent(target)}${query}`, {
+    method: 'OPTIONS',
+    headers: { origin: 'http://localhost:3000', 'access-control-request-method': 'PUT' }
+  });
+}
+
+test('preflights are only forwarded with a valid API key', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preflight-'));
+  const keysFile = path.join(dir, 'keys.json');
+  fs.writeFileSync(keysFile, JSON.stringify({ keys: [{ key: KEY }] }));
+  const upstream = await startUpstream();
+  const cors = await startCorsProxy({
+    auth: { enabled: true, keysFile },
+    rateLimit: { enabled: false }
+  });
+  try {
+    // No key: answered by the proxy alone
+    let res = await preflight(cors.base, upstream.url);
+    assert.strictEqual(res.status, 204);
+    assert.deepStrictEqual(upstream.seen, []);
+
+    res = await preflight(cors.base, upstream.url, '&api_key=not-a-valid-key-at-all');
+    assert.strictEqual(res.status, 401);
+    assert.deepStrictEqual(upstream.seen, []);
+
+    res = await preflight(cors.base, upstream.url, `&api_key=${KEY}`);
+    assert.strictEqual(res.status, 204);
+    assert.deepStrictEqual(upstream.seen, ['OPTIONS']);
+  } finally {
+    cors.proxy.close();
+    await close(cors.server);
+    await close(upstream.server);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('forwarded preflights count against the rate limit', async () => {
+  const upstream = await startUpstream();
+  const cors = await startCorsProxy({
+    rateLimit: { enabled: true, default: { capacity: 2, refillPerSecond: 0.001 } }
+  });
+  try {
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      const res = await preflight(cors.base, upstream.url);
+      await res.text();
+      statuses.push(res.status);
+    }
+    assert.deepStrictEqual(statuses, [204, 204, 429]);
+    assert.deepStrictEqual(upstream.seen, ['OPTIONS', 'OPTIONS']);
+  } finally {
+    cors.proxy.close();
+    await close(cors.server);
+    await close(upstream.server);
+  }
+});
@@ -0,0 +1,108 @@
+/////////////////////////////////////////////////////////
+// recorder.test.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+// Run with: node --test test/
+
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createProxy } = require('../lib/proxy');
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+function readHar(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8')).log.entries;
+}
+
+// Cacheable upstream answering with a counter
+async function startUpstream() {
+  let count = 0;
+  const server = http.createServer((req, res) => {
+    count++;
+    res.setHeader('content-type', 'text/plain');
+    res.setHeader('cache-control', 'max-age=3600');
+    res.end(`answer ${count}`);
+  });
+  const port = await listen(server);
+  return { server, base: `http://127.0.0.1:${port}`, count: () => count };
+}
+
+test('every exchange is recorded while the cache is configured', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-'));
+  const file = path.join(dir, 'proxy.har');
+  const upstream = await startUpstream();
+  const proxy = createProxy({
+    recording: { mode: 'record', format: 'har', path: file },
+    security: { blockPrivateAddresses: false },
+    cache: { enabled: true },
+    rateLimit: { enabled: false },
+    accessLog: { enabled: false }
+  });
+  const server = http.createServer(proxy);
+  const port = await listen(server);
+  try {
+    const target = encodeURIComponent(`${upstream.base}/data`);
+    for (let i = 0; i < 3; i++) {
+      const res = await fetch(`http://127.0.0.1:${port}/raw?url=${target}`);
+      await res.text();
+    }
+    assert.strictEqual(upstream.count(), 3);
+  } finally {
+    proxy.close();
+    await close(server);
+    await close(upstream.server);
+  }
+
+  const entries = readHar(file);
+  assert.strictEqual(entries.length, 3);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('HAR entries written in separate flushes form one valid file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-'));
+  const file = path.join(dir, 'proxy.har');
+  const upstream = await startUpstream();
+  const proxy = createProxy({
+    recording: { mode: 'record', format: 'har', path: file },
+    security: { blockPrivateAddresses: false },
+    cache: { enabled: false },
+    rateLimit: { enabled: false },
+    accessLog: { enabled: false }
+  });
+  const server = http.createServer(proxy);
+  const port = await listen(server);
+  try {
+    for (let i = 1; i <= 3; i++) {
+      const res = await fetch(`http://127.0.0.1:${port}/raw?url=${encodeURIComponent(`${upstream.base}/${i}`)}`);
+      await res.text();
+      // Past the write delay, so every entry gets a flush of its own
+      await new Promise(resolve => setTimeout(resolve, 300));
+      assert.strictEqual(readHar(file).length, i);
+    }
+  } finally {
+    proxy.close();
+    await close(server);
+    await close(upstream.server);
+  }
+
+  const entries = readHar(file);
+  assert.deepStrictEqual(entries.map(entry => entry.response.content.text), ['answer 1', 'answer 2', 'answer 3']);
+  assert.deepStrictEqual(entries.map(entry => new URL(entry.request.url).pathname), ['/1', '/2', '/3']);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,137 @@
+/////////////////////////////////////////////////////////
+// redirects.test.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+// Run with: node --test test/
+
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createProxy } = require('../lib/proxy');
+const { nextHop, RedirectError } = require('../lib/redirects');
+
+const KEY = 'redirect-test-key-0001';
+
+function startHop(url) {
+  return { method: 'GET', hasBody: false, crossOrigin: false, visited: [url] };
+}
+
+// Follow `count` redirects from /0 to /1, /2, ...
+function follow(count, maxRedirects) {
+  let hop = startHop('https://example.com/0');
+  for (let i = 1; i <= count; i++) {
+    hop = nextHop(hop, 302, `/${i}`, `https://example.com/${i - 1}`, maxRedirects);
+  }
+  return hop;
+}
+
+test('a chain of exactly maxRedirects hops is followed', () => {
+  const hop = follow(5, 5);
+  assert.strictEqual(hop.url.href, 'https://example.com/5');
+  assert.strictEqual(hop.visited.length, 6);
+});
+
+test('one hop more than maxRedirects is refused', () => {
+  assert.throws(() => follow(6, 5), error => error instanceof RedirectError && /more than 5/.test(error.message));
+});
+
+test('maxRedirects 1 allows a single hop', () => {
+  assert.strictEqual(follow(1, 1).url.href, 'https://example.com/1');
+  assert.throws(() => follow(2, 1), RedirectError);
+});
+
+function listen(server, host) {
+  return new Promise(resolve => server.listen(0, host, () => resolve(server.address().port)));
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+// Host a (127.0.0.1) redirects everything to host b (127.0.0.2), which
+// counts the requests it gets
+async function startHosts() {
+  const seen = [];
+  const b = http.createServer((req, res) => {
+    seen.push(req.method);
+    res.end('from b');
+  });
+  const bPort = await listen(b, '127.0.0.2');
+  const a = http.createServer((req, res) => {
+    res.statusCode = 302;
+    res.setHeader('location', `http://127.0.0.2:${bPort}/landing`);
+    res.end();
+  });
+  const aPort = await listen(a, '127.0.0.1');
+  return { a, b, seen, start: `http://127.0.0.1:${aPort}/start` };
+}
+
+async function startCorsProxy(settings) {
+  const proxy = createProxy({
+    redirects: { mode: 'follow' },
+    security: { blockPrivateAddresses: false },
+    cache: { enabled: false },
+    rateLimit: { enabled: false },
+    accessLog: { enabled: false },
+    retry: { enabled: false },
+    ...settings
+  });
+  const server = http.createServer(proxy);
+  const port = await listen(server, '127.0.0.1');
+  return { proxy, server, base: `http://127.0.0.1:${port}` };
+}
+
+test('a redirect to a host the API key may not access is refused', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redirects-'));
+  const keysFile = path.join(dir, 'keys.json');
+  fs.writeFileSync(keysFile, JSON.stringify({ keys: [{ key: KEY, allowedHosts: ['127.0.0.1'] }] }));
+  const hosts = await startHosts();
+  const cors = await startCorsProxy({ auth: { enabled: true, keysFile } });
+  try {
+    const res = await fetch(`${cors.base}/raw?url=${encodeURIComponent(hosts.start)}`, { headers: { 'x-api-key': KEY } });
+    const body = await res.json();
+    assert.strictEqual(res.status, 403);
+    assert.match(body.message, /may not access 127\.0\.0\.2/);
+    assert.deepStrictEqual(hosts.seen, []);
+  } finally {
+    cors.proxy.close();
+    await close(cors.server);
+    await close(hosts.a);
+    await close(hosts.b);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a redirect to a host that does not allow the method is refused', async () => {
+  const hosts = await startHosts();
+  const cors = await startCorsProxy({ limits: { hostMethods: { '127.0.0.2': ['POST'] } } });
+  try {
+    const res = await fetch(`${cors.base}/raw?url=${encodeURIComponent(hosts.start)}`);
+    const body = await res.json();
+    assert.strictEqual(res.status, 403);
+    assert.match(body.message, /GET is not allowed for 127\.0\.0\.2/);
+    assert.deepStrictEqual(hosts.seen, []);
+
+    // Without the rule the redirect is followed
+    cors.proxy.close();
+    await close(cors.server);
+    Object.assign(cors, await startCorsProxy({}));
+    const followed = await fetch(`${cors.base}/raw?url=${encodeURIComponent(hosts.start)}`);
+    assert.strictEqual(followed.status, 200);
+    assert.strictEqual(await followed.text(), 'from b');
+  } finally {
+    cors.proxy.close();
+    await close(cors.server);
+    await close(hosts.a);
+    await close(hosts.b);
+  }
+});
@@ -0,0 +1,34 @@
+/////////////////////////////////////////////////////////
+// rewrite.test.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+// Run with: node --test test/
+
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { RewriteStream } = require('../lib/rewrite');
+
+function rewriteChunks(chunks) {
+  return new Promise((resolve, reject) => {
+    const stream = new RewriteStream('html', 'https://example.com/', 'raw');
+    const out = [];
+    stream.on('data', chunk => out.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(out).toString('latin1')));
+    stream.on('error', reject);
+    chunks.forEach(chunk => stream.write(Buffer.from(chunk, 'latin1')));
+    stream.end();
+  });
+}
+
+test('a chunk with an oversized tail keeps its rewritable prefix', async () => {
+  const tail = '<p title="' + 'x'.repeat(70 * 1024);
+  const output = await rewriteChunks(['<img src="/a.png">' + tail]);
+  assert.ok(output.startsWith(`<img src="/raw?url=${encodeURIComponent('https://example.com/a.png')}">`), output.slice(0, 80));
+  assert.ok(output.endsWith(tail));
+});
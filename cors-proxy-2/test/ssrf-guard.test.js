@@ -0,0 +1,43 @@
+/////////////////////////////////////////////////////////
+// ssrf-guard.test.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+// Run with: node --test test/
+
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSsrfGuard } = require('../lib/ssrf-guard');
+
+// Guard whose resolver answers every name with a public address
+function guardWith(options) {
+  const guard = createSsrfGuard({
+    allowedHosts: [],
+    deniedHosts: [],
+    blockPrivateAddresses: true,
+    lookup: (hostname, lookupOptions, callback) => callback(null, [{ address: '93.184.216.34', family: 4 }]),
+    ...options
+  });
+  return url => new Promise(resolve => guard.check(new URL(url), err => resolve(err)));
+}
+
+test('a trailing dot does not get past the host lists', async () => {
+  const check = guardWith({ deniedHosts: ['denied.example.com'] });
+  for (const url of ['http://denied.example.com./', 'http://metadata.google.internal./computeMetadata/v1/']) {
+    const err = await check(url);
+    assert.ok(err, url);
+    assert.strictEqual(err.statusCode, 403, url);
+  }
+  assert.strictEqual(await check('http://other.example.com./'), null);
+});
+
+test('the allowlist matches names with a trailing dot', async () => {
+  const check = guardWith({ allowedHosts: ['api.example.com'] });
+  assert.strictEqual(await check('http://API.example.com./v1'), null);
+  assert.strictEqual((await check('http://other.example.com./')).statusCode, 403);
+});
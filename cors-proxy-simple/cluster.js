@@ -0,0 +1,240 @@
+/////////////////////////////////////////////////////////
+// cluster.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+const cluster = require('cluster');
+const http = require('http');
+
+// Restart delays for a worker that keeps crashing: 1s, 2s, 4s, ... up to 30s
+const RESTART_BASE_DELAY = 1000;
+const RESTART_MAX_DELAY = 30000;
+
+// A worker that ran this long before crashing is restarted without delay again
+const STABLE_AFTER = 60000;
+
+const RESPONSE_CLASSES = ['2xx', '3xx', '4xx', '5xx'];
+
+function emptyTotals() {
+  const responses = {};
+  RESPONSE_CLASSES.forEach(name => {
+    responses[name] = 0;
+  });
+  return { requests: 0, responses };
+}
+
+// Run the primary process: fork `options.workers` workers (running server.js)
+// that share the listeners, restart crashed workers with backoff, replace them
+// one by one on SIGHUP and let them drain on SIGTERM/SIGINT.
+// With `options.statsPort` the primary answers GET requests on that port with
+// the stats of all workers as JSON.
+// options: { workers, drainTimeout, statsPort, statsHost }
+function runPrimary(options) {
+  const slots = Array.from({ length: options.workers }, (value, index) => ({
+    index,
+    worker: null,
+    crashes: 0,
+    timer: null,
+    onReady: null
+  }));
+  // worker id -> last stats the worker reported
+  const latest = new Map();
+  // Requests and responses of workers that have exited
+  const retired = emptyTotals();
+  const startedAt = Date.now();
+  let restarts = 0;
+  let stopping = false;
+  let rolling = false;
+
+  function fork(slot) {
+    const worker = cluster.fork();
+    worker.startedAt = Date.now();
+    slot.worker = worker;
+
+    worker.on('message', message => {
+      if (!message) return;
+      if (message.type === 'stats') {
+        latest.set(worker.id, message.stats);
+      }
+      if (message.type === 'ready' && slot.worker === worker && slot.onReady) {
+        const onReady = slot.onReady;
+        slot.onReady = null;
+        onReady();
+      }
+    });
+    worker.on('exit', (code, signal) => exited(slot, worker, code, signal));
+  }
+
+  function exited(slot, worker, code, signal) {
+    const last = latest.get(worker.id);
+    if (last) {
+      retired.requests += last.requests;
+      RESPONSE_CLASSES.forEach(name => {
+        retired.responses[name] += last.responses[name];
+      });
+      latest.delete(worker.id);
+    }
+
+    if (stopping) {
+      if (!Object.values(cluster.workers).some(other => other && !other.isDead())) {
+        console.log('All workers stopped, exiting');
+        process.exit(0);
+      }
+      return;
+    }
+    // Replaced by a rolling restart
+    if (slot.worker !== worker) {
+      return;
+    }
+
+    slot.worker = null;
+    if (Date.now() - worker.startedAt > STABLE_AFTER) {
+      slot.crashes = 0;
+    }
+    const delay = Math.min(RESTART_BASE_DELAY * Math.pow(2, slot.crashes), RESTART_MAX_DELAY);
+    slot.crashes++;
+    restarts++;
+    console.error(`Worker ${worker.process.pid} died (${signal || `exit code ${code}`}), restarting in ${delay}ms`);
+    slot.timer = setTimeout(() => {
+      slot.timer = null;
+      fork(slot);
+    }, delay);
+  }
+
+  // Ask a worker to stop accepting connections and exit once its requests are done
+  function retire(worker) {
+    if (worker.isConnected()) {
+      worker.send({ type: 'shutdown' });
+    }
+    const timer = setTimeout(() => {
+      console.error(`Worker ${worker.process.pid} did not drain in time, killing it`);
+      worker.process.kill('SIGKILL');
+    }, options.drainTimeout + 5000);
+    worker.once('exit', () => clearTimeout(timer));
+  }
+
+  // Replace the workers one at a time. The old worker only drains once its
+  // replacement listens, so the full number of workers keeps serving.
+  function rollingRestart() {
+    if (stopping) return;
+    if (rolling) {
+      console.log('Rolling restart already in progress');
+      return;
+    }
+    rolling = true;
+    console.log(`SIGHUP received, restarting ${slots.length} workers one by one`);
+
+    let next = 0;
+    const step = () => {
+      if (stopping) {
+        rolling = false;
+        return;
+      }
+      if (next >= slots.length) {
+        rolling = false;
+        console.log('Rolling restart done');
+        return;
+      }
+      const slot = slots[next++];
+      const old = slot.worker;
+      // A crashed worker's slot is restarted by its own timer
+      if (!old) {
+        step();
+        return;
+      }
+      slot.onReady = () => {
+        retire(old);
+        step();
+      };
+      fork(slot);
+    };
+    step();
+  }
+
+  function shutdown(signal) {
+    if (stopping) return;
+    stopping = true;
+    console.log(`${signal} received, draining workers`);
+    slots.forEach(slot => {
+      clearTimeout(slot.timer);
+      slot.timer = null;
+    });
+
+    const alive = Object.values(cluster.workers).filter(worker => worker && !worker.isDead());
+    if (!alive.length) {
+      process.exit(0);
+    }
+    alive.forEach(retire);
+    setTimeout(() => {
+      console.log('Shutdown timeout reached, exiting');
+      process.exit(0);
+    }, options.drainTimeout + 10000).unref();
+  }
+
+  // Current stats: per worker and summed up. Request and response counts
+  // include workers that have exited since the primary started.
+  function stats() {
+    const totals = emptyTotals();
+    totals.requests = retired.requests;
+    RESPONSE_CLASSES.forEach(name => {
+      totals.responses[name] = retired.responses[name];
+    });
+    totals.active = 0;
+    totals.rss = 0;
+
+    const workers = Object.values(cluster.workers).filter(Boolean).map(worker => {
+      const reported = latest.get(worker.id) || null;
+      if (reported) {
+        totals.requests += reported.requests;
+        totals.active += reported.active;
+        totals.rss += reported.rss;
+        RESPONSE_CLASSES.forEach(name => {
+          totals.responses[name] += reported.responses[name];
+        });
+      }
+      return {
+        pid: worker.process.pid,
+        uptimeSeconds: Math.round((Date.now() - worker.startedAt) / 1000),
+        stats: reported
+      };
+    });
+
+    return {
+      primaryPid: process.pid,
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      workers,
+      restarts,
+      totals
+    };
+  }
+
+  slots.forEach(fork);
+  console.log(`Primary ${process.pid} started ${slots.length} workers`);
+
+  if (options.statsPort) {
+    http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(stats(), null, 2));
+    }).listen(options.statsPort, options.statsHost, () => {
+      console.log(`Cluster stats on http://${options.statsHost}:${options.statsPort}`);
+    });
+  }
+
+  process.on('SIGHUP', rollingRestart);
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  return {
+    stats
+  };
+}
+
+module.exports = {
+  runPrimary,
+  RESPONSE_CLASSES
+};
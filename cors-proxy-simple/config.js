@@ -0,0 +1,75 @@
+/////////////////////////////////////////////////////////
+// config.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+// Defaults for every setting. Override them with a profile (--profile),
+// a JSON or JS file (--config), environment variables or command line
+// flags - see `node server.js --help`.
+module.exports = {
+  // Listeners
+  server: {
+    host: '0.0.0.0',
+    port: 8080,
+    // 0 disables HTTPS
+    httpsPort: 8443,
+    // Certificate files; null uses server.key / server.cert next to server.js
+    // and leaves HTTPS off if they are missing
+    key: null,
+    cert: null,
+    // Further https.createServer options, e.g. { "minVersion": "TLSv1.3" }
+    httpsOptions: {}
+  },
+
+  // cors-anywhere options, passed to corsAnywhere.createServer
+  cors: {
+    // Only these origins may use the proxy; empty allows every origin
+    originWhitelist: [],
+    // These origins are always refused
+    originBlacklist: [],
+    // At least one of these request headers must be present
+    requireHeader: [],
+    // Request headers not sent upstream
+    removeHeaders: ['cookie', 'cookie2'],
+    // Request headers set on every upstream request
+    setHeaders: {},
+    // Redirect same-origin requests to the target instead of proxying them
+    redirectSameOrigin: false,
+    // Access-Control-Max-Age for preflights in seconds; 0 sends none
+    corsMaxAge: 0,
+    // Upstream redirects followed before the last one goes to the client
+    maxRedirects: 5,
+    // Text answered for requests without a target URL; null for the built-in one
+    helpFile: null,
+    // Options for http-proxy, e.g. { "xfwd": false }
+    httpProxyOptions: {},
+    // Rate limit per origin: "<requests> <minutes> [unlimited hosts...]",
+    // e.g. "50 3"; in a JS config file also function(origin) returning a
+    // message for refused requests. null for no limit.
+    checkRateLimit: null,
+    // Proxy for upstream requests: null uses HTTP_PROXY / HTTPS_PROXY /
+    // NO_PROXY, "none" connects directly, or a proxy URL; in a JS config file
+    // also function(url) returning a proxy URL or ''
+    getProxyForUrl: null,
+    // JS config file only: function(req, res, location) answering a request
+    // itself by returning true
+    handleInitialRequest: null
+  },
+
+  // Cluster mode
+  cluster: {
+    // Worker processes sharing the listeners; 0 runs without cluster mode,
+    // "auto" starts one per CPU
+    workers: 0,
+    // Milliseconds open requests get to finish on shutdown
+    drainTimeout: 30000,
+    // Port for the primary's JSON stats; 0 disables
+    statsPort: 0,
+    statsHost: '127.0.0.1'
+  }
+};
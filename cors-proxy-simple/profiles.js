@@ -0,0 +1,54 @@
+/////////////////////////////////////////////////////////
+// profiles.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+// Named sets of settings, picked with --profile <name> or CORS_PROXY_PROFILE.
+// They apply on top of config.js; a config file, the environment and flags
+// can still change any of their settings.
+module.exports = {
+  // Local development: only reachable from this machine, every origin and
+  // target allowed
+  dev: {
+    server: {
+      host: '127.0.0.1'
+    },
+    cors: {
+      originWhitelist: [],
+      requireHeader: [],
+      removeHeaders: ['cookie', 'cookie2'],
+      checkRateLimit: null
+    }
+  },
+
+  // Reachable from the internet: browser requests only, rate limited, and no
+  // credentials or client addresses passed upstream. cors.originWhitelist
+  // must be set to the sites that should use the proxy, or the server does
+  // not start.
+  public: {
+    server: {
+      host: '0.0.0.0'
+    },
+    cors: {
+      originBlacklist: [],
+      requireHeader: ['origin', 'x-requested-with'],
+      removeHeaders: ['cookie', 'cookie2', 'authorization', 'proxy-authorization', 'x-forwarded-for', 'x-real-ip'],
+      redirectSameOrigin: true,
+      corsMaxAge: 600,
+      maxRedirects: 5,
+      // 50 requests per 3 minutes and origin
+      checkRateLimit: '50 3',
+      httpProxyOptions: {
+        xfwd: false
+      }
+    },
+    cluster: {
+      drainTimeout: 10000
+    }
+  }
+};
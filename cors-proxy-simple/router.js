@@ -0,0 +1,190 @@
+/////////////////////////////////////////////////////////
+// router.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+// ${NAME} in header and query values is replaced by that environment variable
+const PLACEHOLDER = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+// cors-anywhere reports the upstream URL in these headers; for a route that
+// would expose the upstream and any injected query parameters
+const HIDDEN_HEADERS = ['x-request-url', 'x-final-url'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'string');
+}
+
+// Fill in the ${NAME} placeholders of every value in `values`.
+// Names that are not set are added to `problems`.
+function resolveValues(values, where, env, problems) {
+  const resolved = {};
+  Object.keys(values).forEach(key => {
+    if (typeof values[key] !== 'string') {
+      problems.push(`${where}.${key} must be a string`);
+      return;
+    }
+    resolved[key] = values[key].replace(PLACEHOLDER, (match, name) => {
+      if (env[name] === undefined || env[name] === '') {
+        problems.push(`${where}.${key} needs the environment variable ${name}`);
+        return '';
+      }
+      return env[name];
+    });
+  });
+  return resolved;
+}
+
+// Check the route definitions of routes.js and fill in their environment
+// variables. Returns the routes, longest path first; throws an Error listing
+// every problem found.
+function parseRoutes(definitions, env = process.env) {
+  const problems = [];
+  const routes = Object.keys(definitions || {}).map(name => {
+    const definition = definitions[name];
+    const where = `routes.${name}`;
+    if (!isPlainObject(definition)) {
+      problems.push(`${where} must be an object`);
+      return null;
+    }
+
+    const path = String(definition.path || '');
+    if (!/^\/\S*\/\*$/.test(path)) {
+      problems.push(`${where}.path must look like "/api/example/*"`);
+    }
+    let target = null;
+    try {
+      target = new URL(definition.target);
+      if (target.protocol !== 'http:' && target.protocol !== 'https:') throw new Error();
+      if (target.search || target.hash) throw new Error();
+    } catch (err) {
+      problems.push(`${where}.target must be an http or https URL without query or fragment`);
+    }
+    ['headers', 'query'].forEach(key => {
+      if (definition[key] !== undefined && !isPlainObject(definition[key])) {
+        problems.push(`${where}.${key} must be an object`);
+      }
+    });
+    ['removeHeaders', 'requireHeader'].forEach(key => {
+      if (definition[key] !== undefined && !isStringList(definition[key])) {
+        problems.push(`${where}.${key} must be a list of header names`);
+      }
+    });
+
+    // cors-anywhere keeps request headers in lower case; set ones must match
+    const headers = resolveValues(isPlainObject(definition.headers) ? definition.headers : {}, `${where}.headers`, env, problems);
+    Object.keys(headers).forEach(key => {
+      const value = headers[key];
+      delete headers[key];
+      headers[key.toLowerCase()] = value;
+    });
+
+    return {
+      name,
+      // '/api/github/*' -> '/api/github/'
+      prefix: path.slice(0, -1),
+      target: target && target.href.replace(/\/?$/, '/'),
+      headers,
+      query: resolveValues(isPlainObject(definition.query) ? definition.query : {}, `${where}.query`, env, problems),
+      // null keeps the server-wide cors.removeHeaders / cors.requireHeader
+      removeHeaders: isStringList(definition.removeHeaders) ? definition.removeHeaders.map(name => name.toLowerCase()) : null,
+      requireHeader: isStringList(definition.requireHeader) ? definition.requireHeader.map(name => name.toLowerCase()) : null
+    };
+  });
+
+  if (problems.length) {
+    throw new Error(`Invalid routes:\n  - ${problems.join('\n  - ')}`);
+  }
+  return routes.sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+// The upstream URL for the part of the path after a route's prefix, or null
+// if the path would leave the target (../ and the like)
+function upstreamUrl(route, rest, search) {
+  let url;
+  try {
+    // './' keeps 'a:b' or '//host' from being read as a URL of their own
+    url = new URL('./' + rest + search, route.target);
+  } catch (err) {
+    return null;
+  }
+  const base = new URL(route.target);
+  if (url.origin !== base.origin || !url.pathname.startsWith(base.pathname)) {
+    return null;
+  }
+  // Injected parameters replace any the client sent with the same name
+  Object.keys(route.query).forEach(name => url.searchParams.set(name, route.query[name]));
+  return url.href;
+}
+
+// Drop HIDDEN_HEADERS from whatever cors-anywhere sends back
+function hideUpstreamUrl(res) {
+  const setHeader = res.setHeader;
+  res.setHeader = function(name, value) {
+    if (HIDDEN_HEADERS.includes(String(name).toLowerCase())) return this;
+    return setHeader.call(this, name, value);
+  };
+  const writeHead = res.writeHead;
+  res.writeHead = function(...args) {
+    const headers = args[args.length - 1];
+    if (isPlainObject(headers)) {
+      Object.keys(headers).filter(name => HIDDEN_HEADERS.includes(name.toLowerCase())).forEach(name => delete headers[name]);
+    }
+    return writeHead.apply(this, args);
+  };
+}
+
+// Request handler for the routes from parseRoutes(). Every route gets its own
+// cors-anywhere server built from `corsOptions` and the route's settings, and
+// matching requests are rewritten to the upstream URL and handed to it.
+// route(req, res) returns false for requests no route matches.
+function createRouter(routes, corsOptions) {
+  const corsAnywhere = require('cors-anywhere');
+  const servers = new Map();
+  routes.forEach(route => {
+    const injects = Object.keys(route.headers).length || Object.keys(route.query).length;
+    servers.set(route, corsAnywhere.createServer({
+      ...corsOptions,
+      removeHeaders: route.removeHeaders || corsOptions.removeHeaders,
+      requireHeader: route.requireHeader || corsOptions.requireHeader,
+      setHeaders: { ...corsOptions.setHeaders, ...route.headers },
+      // Redirects go back to the client instead of being followed, so
+      // injected credentials never reach another host
+      ...(injects ? { maxRedirects: 0 } : {})
+    }));
+  });
+
+  return function route(req, res) {
+    const queryStart = req.url.indexOf('?');
+    const pathname = queryStart === -1 ? req.url : req.url.slice(0, queryStart);
+    const search = queryStart === -1 ? '' : req.url.slice(queryStart);
+    const match = routes.find(candidate => pathname.startsWith(candidate.prefix) || pathname === candidate.prefix.slice(0, -1));
+    if (!match) {
+      return false;
+    }
+
+    const url = upstreamUrl(match, pathname.slice(match.prefix.length), search);
+    if (!url) {
+      res.statusCode = 400;
+      res.end('Invalid path');
+      return true;
+    }
+    req.url = '/' + url;
+    hideUpstreamUrl(res);
+    servers.get(match).emit('request', req, res);
+    return true;
+  };
+}
+
+module.exports = {
+  parseRoutes,
+  createRouter
+};
@@ -0,0 +1,40 @@
+/////////////////////////////////////////////////////////
+// routes.js
+// Copyright (c) 2025 Klaus Simon
+// https://github.com/electrobutterfly
+// github@electrobutterfly.com
+// This script is licensed under the MIT License.
+// Full license text: https://opensource.org/licenses/MIT
+/////////////////////////////////////////////////////////
+
+
+// Named routes: requests under `path` go to the same path below `target`,
+// e.g. /api/github/repos/x/y -> https://api.github.com/repos/x/y.
+// Anything no route matches uses the generic /<full-url> form.
+//
+// Per route:
+// - headers:       headers set on the upstream request
+// - query:         query parameters added to the upstream URL
+//                  (values may use ${NAME} for environment variables)
+// - removeHeaders: request headers not sent upstream
+// - requireHeader: request headers of which at least one must be present
+//                  (both default to cors.removeHeaders / cors.requireHeader
+//                  from the configuration)
+module.exports = {
+  // github: {
+  //   path: '/api/github/*',
+  //   target: 'https://api.github.com',
+  //   headers: { Authorization: 'Bearer ${GITHUB_TOKEN}' },
+  //   removeHeaders: ['cookie', 'cookie2', 'authorization'],
+  //   requireHeader: ['origin', 'x-requested-with']
+  // },
+  // osm: {
+  //   path: '/tiles/osm/*',
+  //   target: 'https://tile.openstreetmap.org'
+  // },
+  // weather: {
+  //   path: '/api/weather/*',
+  //   target: 'https://api.openweathermap.org/data/2.5',
+  //   query: { appid: '${OPENWEATHER_KEY}' }
+  // }
+};
@@ -8,37 +8,191 @@
 /////////////////////////////////////////////////////////
 
 
-const corsAnywhere = require('cors-anywhere');
+const cluster = require('cluster');
+const os = require('os');
 const http = require('http');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { runPrimary, RESPONSE_CLASSES } = require('./cluster');
+const { parseRoutes, createRouter } = require('./router');
+const { loadConfig, corsOptionsOf, redactConfig, ConfigError, USAGE } = require('./config-loader');
 
-const corsServer = corsAnywhere.createServer({
-  originWhitelist: [],
-  requireHeader: [],
-  removeHeaders: ['cookie', 'cookie2']
-});
-
-// HTTP server (port 8080)
-http.createServer((req, res) => {
-  corsServer.emit('request', req, res);
-}).listen(8080, '0.0.0.0', () => {
-  console.log('CORS Anywhere HTTP running on http://0.0.0.0:8080');
-});
-
-// HTTPS server (port 8443) - only if certificates exist
-try {
-  const serverOptions = {
-    key: fs.readFileSync(path.join(__dirname, 'server.key')),
-    cert: fs.readFileSync(path.join(__dirname, 'server.cert'))
-  };
-
-  https.createServer(serverOptions, (req, res) => {
-    corsServer.emit('request', req, res);
-  }).listen(8443, '0.0.0.0', () => {
-    console.log('CORS Anywhere HTTPS running on https://0.0.0.0:8443');
+// How often workers report their stats to the primary (ms)
+const STATS_INTERVAL = 5000;
+
+// Node 16 renamed cluster.isMaster to cluster.isPrimary
+const isPrimary = cluster.isPrimary !== undefined ? cluster.isPrimary : cluster.isMaster;
+
+// Effective settings: config.js defaults < profile < config file <
+// environment < flags. Exits on --help, --print-config or invalid settings.
+function readSettings() {
+  let loaded;
+  try {
+    loaded = loadConfig({ argv: process.argv.slice(2), env: process.env });
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(error.message);
+    console.error('\nRun with --help for usage.');
+    process.exit(1);
+  }
+  if (loaded.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  if (loaded.printConfig) {
+    console.log(JSON.stringify(redactConfig(loaded.config), (key, value) => (typeof value === 'function' ? '[function]' : value), 2));
+    process.exit(0);
+  }
+  if (loaded.profile && isPrimary) {
+    console.log(`Using profile "${loaded.profile}"`);
+  }
+  return loaded.config;
+}
+
+// Number of worker processes; 0 serves everything from this process
+function workerCount(config) {
+  if (config.cluster.workers === 'auto') {
+    return os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+  }
+  return config.cluster.workers;
+}
+
+// Named routes from routes.js, checked before anything starts
+function loadRoutes() {
+  try {
+    return parseRoutes(require('./routes'));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+// Start the HTTP and HTTPS listeners. In cluster mode every worker runs this
+// and the listeners are shared between them.
+function startServers(config, routes) {
+  const corsAnywhere = require('cors-anywhere');
+  const corsOptions = corsOptionsOf(config.cors);
+  const { host, port, httpsPort } = config.server;
+  const corsServer = corsAnywhere.createServer(corsOptions);
+  // Named routes first, the generic /<full-url> form for everything else
+  const route = createRouter(routes, corsOptions);
+
+  const stats = { requests: 0, active: 0, responses: {} };
+  RESPONSE_CLASSES.forEach(name => {
+    stats.responses[name] = 0;
+  });
+  const servers = [];
+  let listening = 0;
+  let draining = false;
+
+  function handleRequest(req, res) {
+    stats.requests++;
+    stats.active++;
+    res.on('close', () => {
+      stats.active--;
+      const name = `${String(res.statusCode)[0]}xx`;
+      if (name in stats.responses) stats.responses[name]++;
+    });
+    if (!route(req, res)) {
+      corsServer.emit('request', req, res);
+    }
+  }
+
+  function reportStats(callback) {
+    if (!process.send || !process.connected) {
+      if (callback) callback();
+      return;
+    }
+    const memory = process.memoryUsage();
+    process.send({
+      type: 'stats',
+      stats: { ...stats, responses: { ...stats.responses }, rss: memory.rss, heapUsed: memory.heapUsed }
+    }, callback);
+  }
+
+  function onListening() {
+    if (++listening === servers.length && process.send) {
+      reportStats();
+      process.send({ type: 'ready' });
+    }
+  }
+
+  // Stop accepting connections and exit once open requests are done
+  function drain(reason) {
+    if (draining) return;
+    draining = true;
+    console.log(`${reason}, process ${process.pid} draining`);
+
+    const exit = () => reportStats(() => process.exit(0));
+    let open = servers.length;
+    servers.forEach(server => {
+      server.close(() => {
+        if (--open === 0) exit();
+      });
+      // Node 18.2+: drop idle keep-alive sockets right away
+      if (server.closeIdleConnections) {
+        server.closeIdleConnections();
+      }
+    });
+    setTimeout(() => {
+      console.log(`Drain timeout reached, process ${process.pid} exiting`);
+      exit();
+    }, config.cluster.drainTimeout).unref();
+  }
+
+  // HTTP server
+  servers.push(http.createServer(handleRequest).listen(port, host, () => {
+    console.log(`CORS Anywhere HTTP running on http://${host}:${port} (pid ${process.pid})`);
+    onListening();
+  }));
+
+  // HTTPS server - only if certificates exist
+  if (httpsPort) {
+    try {
+      const serverOptions = {
+        ...config.server.httpsOptions,
+        key: fs.readFileSync(config.server.key || path.join(__dirname, 'server.key')),
+        cert: fs.readFileSync(config.server.cert || path.join(__dirname, 'server.cert'))
+      };
+
+      servers.push(https.createServer(serverOptions, handleRequest).listen(httpsPort, host, () => {
+        console.log(`CORS Anywhere HTTPS running on https://${host}:${httpsPort} (pid ${process.pid})`);
+        onListening();
+      }));
+    } catch (error) {
+      console.log('HTTPS not available - missing certificates');
+    }
+  }
+
+  routes.forEach(entry => {
+    console.log(`Route ${entry.name}: ${entry.prefix}* -> ${entry.target}`);
+  });
+
+  process.on('SIGTERM', () => drain('SIGTERM received'));
+  process.on('SIGINT', () => drain('SIGINT received'));
+
+  if (cluster.isWorker) {
+    setInterval(reportStats, STATS_INTERVAL).unref();
+    process.on('message', message => {
+      if (message && message.type === 'shutdown') drain('Shutdown requested');
+    });
+    // The primary is gone: nobody would restart or stop this worker
+    process.on('disconnect', () => drain('Primary exited'));
+  }
+}
+
+const config = readSettings();
+const workers = isPrimary ? workerCount(config) : 0;
+const routes = loadRoutes();
+
+if (workers > 0) {
+  runPrimary({
+    workers,
+    drainTimeout: config.cluster.drainTimeout,
+    statsPort: config.cluster.statsPort,
+    statsHost: config.cluster.statsHost
   });
-} catch (error) {
-  console.log('HTTPS not available - missing certificates');
+} else {
+  startServers(config, routes);
 }